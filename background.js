@@ -3,7 +3,20 @@
  * Handles data fetching, storage and notifications
  */
 
-importScripts('utils.js', 'salmonRun.js');
+importScripts('utils.js', 'salmonRun.js', 'watchlist.js', 'reminders.js', 'history.js', 'imageCache.js', 'stageImages.js', 'diagnostics.js', 'devScenario.js', 'locale.js', 'badge.js', 'omnibox.js');
+
+// Alarm that wakes the worker at the next Splatfest phase change
+const SPLATFEST_ALARM = 'splatfestCheck';
+
+// Splatfest notification phases, in the order they happen
+const SPLATFEST_PHASES = ['announced', 'live', 'tricolor', 'ending'];
+
+// How long before the end of a fest the "ends soon" alert goes out
+const SPLATFEST_ENDING_SOON_MINUTES = 60;
+
+// Clock, time zone and language settings are needed before any notification text is built,
+// and a developer scenario's clock before anything is compared against the schedule
+const displaySettingsLoaded = Promise.all([Utils.loadTimeSettings(), Locale.initLocale(), Utils.loadClock()]);
 
 // Initialize extension
 chrome.runtime.onInstalled.addListener(async (details) => {
@@ -18,10 +31,26 @@ chrome.runtime.onInstalled.addListener(async (details) => {
       await chrome.storage.sync.set({
         'enableNotifications': false,
         'notifyRegular': false,
-        'notifyAnarchy': false,
+        'notifyAnarchySeries': false,
+        'notifyAnarchyOpen': false,
         'notifyXbattle': false,
-        'notifySalmon': false
+        'notifySalmon': false,
+        'notifyEggstra': false,
+        'notifySplatfest': false
+      });
+    }
+  }
+
+  // The single Anarchy toggle was split into Series and Open - carry the old choice over
+  if (details.reason === 'update') {
+    const legacy = await chrome.storage.sync.get(['notifyAnarchy', 'notifyAnarchySeries', 'notifyAnarchyOpen']);
+    if (legacy.notifyAnarchy !== undefined) {
+      console.log('Migrating notifyAnarchy setting to Series/Open toggles');
+      await chrome.storage.sync.set({
+        'notifyAnarchySeries': legacy.notifyAnarchySeries ?? legacy.notifyAnarchy,
+        'notifyAnarchyOpen': legacy.notifyAnarchyOpen ?? legacy.notifyAnarchy
       });
+      await chrome.storage.sync.remove('notifyAnarchy');
     }
   }
 
@@ -29,11 +58,39 @@ chrome.runtime.onInstalled.addListener(async (details) => {
   setTimeout(fetchAllData, 2000);
 });
 
-// Listen for alarm - handles both smart refresh and fallback periodic refresh
-chrome.alarms.onAlarm.addListener((alarm) => {
+// Alarms don't always survive a browser restart - rebuild reminders from the cached data
+chrome.runtime.onStartup.addListener(async () => {
+  await displaySettingsLoaded;
+  const { rotationData } = await chrome.storage.local.get(['rotationData']);
+  await Reminders.scheduleReminders(rotationData || null);
+  await Reminders.restoreCustomReminders();
+  await ToolbarBadge.updateBadge(rotationData || null);
+});
+
+// Listen for alarm - handles smart refresh, fallback periodic refresh, rotation reminders, Splatfest phase changes and the badge
+chrome.alarms.onAlarm.addListener(async (alarm) => {
+  await displaySettingsLoaded;
+
   if (alarm.name === 'refreshRotations' || alarm.name === 'smartRefresh') {
     console.log(`Alarm triggered: ${alarm.name}`);
+    // A rotation has just changed, so redraw the toolbar from the cached timeline before the fetch lands
+    if (alarm.name === 'smartRefresh') {
+      const { rotationData } = await chrome.storage.local.get(['rotationData']);
+      await ToolbarBadge.updateBadge(rotationData || null);
+    }
     fetchAllData();
+  } else if (Reminders.isReminderAlarm(alarm)) {
+    Reminders.handleReminderAlarm(alarm);
+  } else if (Reminders.isCustomReminderAlarm(alarm)) {
+    Reminders.handleCustomReminderAlarm(alarm);
+  } else if (alarm.name === SPLATFEST_ALARM) {
+    chrome.storage.local.get(['rotationData']).then(({ rotationData }) => {
+      if (rotationData && !rotationData.isDemo && !rotationData.scenario) sendSplatfestNotifications(rotationData);
+    });
+  } else if (ToolbarBadge.isBadgeAlarm(alarm)) {
+    chrome.storage.local.get(['rotationData']).then(({ rotationData }) => {
+      ToolbarBadge.updateBadge(rotationData || null);
+    });
   }
 });
 
@@ -42,18 +99,25 @@ chrome.alarms.onAlarm.addListener((alarm) => {
  * @param {Object} rotationData The current rotation data
  */
 function scheduleNextRefresh(rotationData) {
-  const now = Date.now();
+  const now = Utils.now();
   let nextRefreshTime = null;
 
-  // Find the earliest end time among all current rotations
-  const modes = ['regular', 'anarchy', 'xbattle', 'challenge', 'salmon'];
+  // Find the earliest rotation boundary among all modes
+  const modes = ['regular', 'anarchy', 'xbattle', 'challenge', 'fest', 'salmon'];
+  const schedules = modes.map(mode => rotationData?.[mode]);
+  // Eggstra Work contests run alongside regular shifts
+  schedules.push(rotationData?.salmon?.eggstra);
 
-  for (const mode of modes) {
-    const current = rotationData?.[mode]?.current;
-    if (current?.endTime) {
-      const endTime = new Date(current.endTime).getTime();
-      // Schedule refresh 1 minute after rotation ends
-      const refreshTime = endTime + (1 * 60 * 1000);
+  for (const schedule of schedules) {
+    const current = schedule?.current;
+    const next = schedule?.next;
+
+    // Schedule refresh 1 minute after the rotation ends, or after the next one
+    // starts for modes with gaps between rotations (e.g. Challenge events)
+    const boundaries = [current?.endTime, next?.startTime].filter(Boolean);
+
+    for (const boundary of boundaries) {
+      const refreshTime = new Date(boundary).getTime() + (1 * 60 * 1000);
 
       if (refreshTime > now && (!nextRefreshTime || refreshTime < nextRefreshTime)) {
         nextRefreshTime = refreshTime;
@@ -67,7 +131,8 @@ function scheduleNextRefresh(rotationData) {
   if (nextRefreshTime) {
     const delayMinutes = (nextRefreshTime - now) / (60 * 1000);
     console.log(`Scheduling smart refresh in ${delayMinutes.toFixed(1)} minutes (at ${new Date(nextRefreshTime).toLocaleTimeString()})`);
-    chrome.alarms.create('smartRefresh', { when: nextRefreshTime });
+    // Alarms run on real time, which differs from the schedule's while a developer scenario moves the clock
+    chrome.alarms.create('smartRefresh', { when: Utils.toRealTime(nextRefreshTime) });
   } else {
     // Fallback: if we can't determine the next refresh time, use periodic refresh
     console.log('No valid end time found, falling back to periodic refresh');
@@ -75,6 +140,66 @@ function scheduleNextRefresh(rotationData) {
   }
 }
 
+// React to settings edits without waiting for the next refresh
+chrome.storage.onChanged.addListener(async (changes, areaName) => {
+  if (areaName !== 'sync' || (!changes.watchlist && !changes.reminderLeadTimes && !changes.badge)) return;
+
+  const { rotationData } = await chrome.storage.local.get(['rotationData']);
+
+  // The badge is cleared or re-pinned even before any data has arrived
+  if (changes.badge) {
+    await ToolbarBadge.updateBadge(rotationData || null);
+  }
+
+  // Demo and scenario rotations never notify
+  if (!rotationData || rotationData.isDemo || rotationData.scenario) return;
+
+  // Re-check the watchlist so new watches alert right away
+  if (changes.watchlist) {
+    await sendWatchlistNotifications(rotationData);
+  }
+
+  if (changes.reminderLeadTimes) {
+    await Reminders.scheduleReminders(rotationData);
+  }
+});
+
+// Address bar: "splat anarchy", "splat salmon next" or "splat tower" suggest rotations from the cache.
+// Enter without picking a suggestion opens the top one, so it is shown as the default suggestion.
+chrome.omnibox.onInputStarted.addListener(() => {
+  chrome.omnibox.setDefaultSuggestion({ description: Utils.getMessage('omniboxHint') });
+});
+
+chrome.omnibox.onInputChanged.addListener(async (text, suggest) => {
+  await displaySettingsLoaded;
+  const { rotationData } = await chrome.storage.local.get(['rotationData']);
+  const [top, ...rest] = OmniboxSearch.buildSuggestions(rotationData || null, text);
+
+  chrome.omnibox.setDefaultSuggestion({
+    description: top ? top.description : Utils.getMessage(rotationData ? 'omniboxNoMatches' : 'omniboxNoData')
+  });
+  suggest(rest);
+});
+
+chrome.omnibox.onInputEntered.addListener(async (text, disposition) => {
+  const { rotationData } = await chrome.storage.local.get(['rotationData']);
+  const url = OmniboxSearch.getTargetUrl(rotationData || null, text);
+
+  if (disposition === 'currentTab') {
+    chrome.tabs.update({ url });
+  } else {
+    chrome.tabs.create({ url, active: disposition === 'newForegroundTab' });
+  }
+});
+
+// Keyboard shortcut (Alt+Shift+R by default) refreshes without opening the popup
+chrome.commands.onCommand.addListener((command) => {
+  if (command === 'refresh-rotations') {
+    console.log('Refresh shortcut pressed');
+    fetchAllData();
+  }
+});
+
 // Message handler
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   if (request.action === 'fetchRotations') {
@@ -83,6 +208,20 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
       .catch(error => sendResponse({ success: false, error: error.message }));
     return true; // Indicates async response
   }
+
+  if (request.action === 'addReminder') {
+    Reminders.addCustomReminder(request.mode, request.startTime)
+      .then(reminder => sendResponse({ success: true, reminder }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+
+  if (request.action === 'cancelReminder') {
+    Reminders.cancelCustomReminder(request.id)
+      .then(() => sendResponse({ success: true }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
 });
 
 /**
@@ -91,25 +230,49 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
  */
 async function fetchAllData() {
   console.log('--- Starting data fetch cycle ---');
+  await displaySettingsLoaded;
+  // The Diagnostics page may have just moved the clock along with the scenario
+  await Utils.loadClock();
+  const startedAt = Date.now();
+  const fetchResult = { startedAt: new Date(startedAt).toISOString() };
   try {
     // Get the state of data *before* the fetch cycle.
     const result = await chrome.storage.local.get(['rotationData', 'lastUpdated']);
     const oldRotationData = result.rotationData || null;
 
-    // Single API fetch - shared by all processors
-    const response = await fetch(Utils.API.SCHEDULES);
+    // Demo mode shows generated rotations instead of the API's
+    const { demoMode } = await chrome.storage.sync.get(['demoMode']);
+    if (demoMode) {
+      await loadDemoData();
+      return true;
+    }
+
+    // Single API fetch - shared by all processors.
+    // A developer scenario answers with a bundled snapshot (or an outage) instead.
+    const scenario = await DevScenario.getActiveScenario();
+    if (scenario) fetchResult.scenario = scenario.id;
+    const response = scenario ? await DevScenario.fetchScenario(scenario) : await fetch(Utils.API.SCHEDULES);
+    fetchResult.httpStatus = response.status;
     if (!response.ok) throw new Error(`API error: ${response.status}`);
     const apiData = await response.json();
+    fetchResult.networkMs = Date.now() - startedAt;
 
     // Process both from the same response - no duplicate network requests
-    const battleData = processRotationData(apiData) || createTestData();
-    const salmonData = SalmonRun.processSalmonRunData(apiData) || SalmonRun.createSalmonRunTestData();
+    const battleData = processRotationData(apiData);
+    const { salmon: salmonData, problem: salmonProblem } = processSalmonSchedules(apiData);
 
     // Merge the results into a single, new data object.
+    // Modes that couldn't be read stay empty and are listed in problems for the popup.
     const newRotationData = {
       ...battleData, // Contains regular, anarchy, xbattle
-      salmon: salmonData  // Contains current, next for salmon
+      salmon: salmonData,  // Contains current, next for salmon
+      problems: salmonProblem ? { ...battleData.problems, salmon: salmonProblem } : battleData.problems
     };
+    if (scenario) newRotationData.scenario = scenario.id;
+    // Stage names missing from the mapping are kept for the Diagnostics page
+    Diagnostics.noteStageNames(newRotationData);
+    const problemModes = Object.keys(newRotationData.problems);
+    if (problemModes.length > 0) console.warn(`Partial data - no usable schedule for: ${problemModes.join(', ')}`);
 
     // Perform a single write to storage.
     await chrome.storage.local.set({
@@ -122,14 +285,57 @@ async function fetchAllData() {
     // Schedule the next smart refresh based on rotation end times
     scheduleNextRefresh(newRotationData);
 
+    // Reschedule pre-rotation reminders from the new start times
+    await Reminders.scheduleReminders(newRotationData);
+
+    // Show the new rotations on the toolbar icon
+    await ToolbarBadge.updateBadge(newRotationData);
+
+    // Remember every rotation for the Stats view; a history failure shouldn't break the refresh.
+    // Scenario snapshots aren't real rotations, so they stay out of it.
+    try {
+      if (!scenario) await RotationHistory.recordRotations(newRotationData);
+    } catch (error) {
+      console.error('Failed to record rotation history:', error);
+    }
+
     // Now, compare the old and new data for notifications.
-    if (newRotationData) {
-      await sendRotationNotifications(newRotationData, oldRotationData);
+    // Scenario data never notifies, so its events can't be marked as already notified for real data.
+    // Leaving demo mode or a scenario isn't a rotation change either, so the first live data doesn't announce itself.
+    if (newRotationData && !newRotationData.scenario) {
+      if (!oldRotationData?.isDemo && !oldRotationData?.scenario) {
+        await sendRotationNotifications(newRotationData, oldRotationData);
+      }
+      await sendWatchlistNotifications(newRotationData);
+      await sendEggstraNotifications(newRotationData);
+      await sendSplatfestNotifications(newRotationData);
+    }
+
+    // Note scheduled stages without local art, for whoever adds the missing files
+    try {
+      await StageImages.recordUnresolvedStages(newRotationData);
+    } catch (error) {
+      console.error('Failed to record unresolved stages:', error);
+    }
+
+    await recordFetchDiagnostics({ ...fetchResult, status: 'ok', durationMs: Date.now() - startedAt });
+
+    // Keep thumbnails of new stage, weapon and boss images; last, since it may download several
+    try {
+      await ImageCache.cacheRotationImages(newRotationData);
+    } catch (error) {
+      console.error('Failed to cache rotation images:', error);
     }
 
     return true;
   } catch (error) {
     console.error("Error in fetchAllData cycle:", error);
+    await recordFetchDiagnostics({
+      ...fetchResult,
+      status: 'error',
+      durationMs: Date.now() - startedAt,
+      error: String(error?.message || error)
+    });
 
     // Stale-while-revalidate: Check if we have valid cached data
     const cached = await chrome.storage.local.get(['rotationData', 'lastUpdated']);
@@ -145,18 +351,63 @@ async function fetchAllData() {
   }
 }
 
+/**
+ * Store generated rotations for demo mode
+ * They're flagged with isDemo, which the popup labels and which keeps every notification and reminder off
+ */
+async function loadDemoData() {
+  const rotationData = {
+    ...createTestData(),
+    salmon: SalmonRun.createSalmonRunTestData(),
+    problems: {},
+    isDemo: true
+  };
+
+  await chrome.storage.local.set({
+    'rotationData': rotationData,
+    'lastUpdated': new Date().toISOString(),
+    'isOffline': false
+  });
+  console.log('Demo mode: stored generated rotation data.');
+
+  scheduleNextRefresh(rotationData);
+  // Clears any reminder alarms; none are set for demo rotations
+  await Reminders.scheduleReminders(rotationData);
+  await ToolbarBadge.updateBadge(rotationData);
+}
+
+/**
+ * Store a fetch outcome for the Diagnostics page; a storage failure shouldn't break the refresh
+ * @param {Object} fetchResult Outcome passed to Diagnostics.recordFetch()
+ */
+async function recordFetchDiagnostics(fetchResult) {
+  try {
+    await Diagnostics.recordFetch(fetchResult);
+  } catch (error) {
+    console.error('Failed to record fetch diagnostics:', error);
+  }
+}
+
 /**
  * Check if cached data is still valid (hasn't fully expired)
  * @param {Object} rotationData The cached rotation data
  * @returns {boolean} Whether the data is still valid
  */
 function isDataStillValid(rotationData) {
-  const now = Date.now();
+  const now = Utils.now();
+
+  // Every processed timeline: the tracked modes (Challenge and Eggstra Work included) plus Splatfest battles
+  const timelines = [
+    ...Utils.TRACKED_MODES.map(mode => {
+      const modeData = rotationData?.[mode.source];
+      return mode.nested ? modeData?.[mode.nested] : modeData;
+    }),
+    rotationData?.fest
+  ];
 
   // Check if any current rotation hasn't ended yet
-  const modes = ['regular', 'anarchy', 'xbattle', 'salmon'];
-  for (const mode of modes) {
-    const current = rotationData?.[mode]?.current;
+  for (const timeline of timelines) {
+    const current = timeline?.current;
     if (current?.endTime) {
       const endTime = new Date(current.endTime).getTime();
       if (endTime > now) {
@@ -166,8 +417,8 @@ function isDataStillValid(rotationData) {
   }
 
   // Also check "next" rotations - if they exist and haven't started yet, data is useful
-  for (const mode of modes) {
-    const next = rotationData?.[mode]?.next;
+  for (const timeline of timelines) {
+    const next = timeline?.next;
     if (next?.startTime) {
       return true; // We have upcoming rotation data
     }
@@ -177,110 +428,158 @@ function isDataStillValid(rotationData) {
 }
 
 /**
- * Validate that the API response has the expected structure
- * @param {Object} data Raw API data
- * @returns {boolean} Whether the data structure is valid
+ * Describe the type of an unexpected API value for the Diagnostics page
+ * @param {*} value Value found in the response
+ * @returns {string} e.g. "null", "object" or "string"
  */
-function validateApiResponse(data) {
-  if (!data?.data) {
-    console.error('API validation failed: missing data root');
-    return false;
-  }
+function describeType(value) {
+  return value === null ? 'null' : typeof value;
+}
 
-  const d = data.data;
-  const scheduleKeys = ['regularSchedules', 'bankaraSchedules', 'xSchedules'];
-  for (const key of scheduleKeys) {
-    if (d[key] && !Array.isArray(d[key].nodes)) {
-      console.error(`API validation failed: ${key}.nodes is not an array`);
-      return false;
-    }
+/**
+ * An empty schedule, for modes with nothing to show
+ * @returns {Object} Timeline with no current, next or upcoming rotations
+ */
+function emptyTimeline() {
+  return { current: null, next: null, upcoming: [] };
+}
+
+/**
+ * Check that a schedule in the API response has a usable node list
+ * Failures are logged and kept for the Diagnostics page with the offending key path
+ * @param {Object} parent Object the schedule should be on
+ * @param {string} key Schedule key, e.g. "xSchedules"
+ * @param {string} path Key path of the parent, e.g. "data"
+ * @param {boolean} [optional] Whether the API may leave the schedule out
+ * @returns {string|null} 'missing' or 'invalid', or null when the schedule is usable (or optional and absent)
+ */
+function checkSchedule(parent, key, path, optional = false) {
+  if (!parent?.[key]) {
+    if (optional) return null;
+    console.error(`API validation failed: ${path}.${key} is missing`);
+    Diagnostics.noteValidationFailure(`${path}.${key}`, 'missing');
+    return 'missing';
   }
 
-  if (d.coopGroupingSchedule) {
-    const coopKeys = ['regularSchedules', 'bigRunSchedules'];
-    for (const key of coopKeys) {
-      if (d.coopGroupingSchedule[key] && !Array.isArray(d.coopGroupingSchedule[key].nodes)) {
-        console.error(`API validation failed: coopGroupingSchedule.${key}.nodes is not an array`);
-        return false;
-      }
-    }
+  if (!Array.isArray(parent[key].nodes)) {
+    console.error(`API validation failed: ${path}.${key}.nodes is not an array`);
+    Diagnostics.noteValidationFailure(`${path}.${key}.nodes`, `expected an array, got ${describeType(parent[key].nodes)}`);
+    return 'invalid';
   }
 
-  return true;
+  return null;
 }
 
+// Battle schedules in the API response, by the rotationData key they're processed into.
+// Challenges and Splatfest battles are only listed while they're scheduled.
+const BATTLE_SCHEDULES = [
+  { mode: 'regular', key: 'regularSchedules', process: (nodes, now) => findCurrentAndNext(nodes, now, 'regular') },
+  { mode: 'anarchy', key: 'bankaraSchedules', process: (nodes, now) => findCurrentAndNextAnarchy(nodes, now) },
+  { mode: 'xbattle', key: 'xSchedules', process: (nodes, now) => findCurrentAndNext(nodes, now, 'xbattle') },
+  { mode: 'challenge', key: 'eventSchedules', optional: true, process: (nodes, now) => processEventSchedules(nodes, now) },
+  { mode: 'fest', key: 'festSchedules', optional: true, process: (nodes, now) => processFestSchedules(nodes, now) }
+];
+
 /**
  * Process raw API data into structured rotation information
+ * A mode whose schedule is missing or malformed is left empty and named in `problems`,
+ * so the popup can say so instead of showing nothing or made-up rotations
  * @param {Object} data Raw API data
- * @returns {Object|null} Processed rotation data or null on error
+ * @returns {Object} Processed rotation data, with problems mapping a mode to 'missing' or 'invalid'
  */
 function processRotationData(data) {
-  if (!validateApiResponse(data)) return null;
-
-  const now = new Date();
+  const now = new Date(Utils.now());
   const result = {
-    regular: { current: null, next: null },
-    anarchy: { current: null, next: null },
-    xbattle: { current: null, next: null },
-    challenge: { current: null, next: null },
-    splatfest: null
+    regular: emptyTimeline(),
+    anarchy: emptyTimeline(),
+    xbattle: emptyTimeline(),
+    challenge: emptyTimeline(),
+    fest: emptyTimeline(),
+    splatfest: null,
+    problems: {}
   };
 
-  try {
-    if (data.data.regularSchedules?.nodes) {
-      result.regular = findCurrentAndNext(data.data.regularSchedules.nodes, now, 'regular');
-    }
-
-    if (data.data.bankaraSchedules?.nodes) {
-      result.anarchy = findCurrentAndNextAnarchy(data.data.bankaraSchedules.nodes, now);
-    }
+  if (!data?.data) {
+    console.error('API validation failed: missing data root');
+    Diagnostics.noteValidationFailure('data', 'missing');
+    BATTLE_SCHEDULES.filter(schedule => !schedule.optional).forEach(({ mode }) => {
+      result.problems[mode] = 'missing';
+    });
+    return result;
+  }
 
-    if (data.data.xSchedules?.nodes) {
-      result.xbattle = findCurrentAndNext(data.data.xSchedules.nodes, now, 'xbattle');
+  for (const { mode, key, optional, process } of BATTLE_SCHEDULES) {
+    const problem = checkSchedule(data.data, key, 'data', optional);
+    if (problem) {
+      result.problems[mode] = problem;
+      continue;
     }
+    if (!data.data[key]) continue;
 
-    // Process Challenge/Event schedules
-    if (data.data.eventSchedules?.nodes) {
-      result.challenge = processEventSchedules(data.data.eventSchedules.nodes, now);
+    try {
+      result[mode] = process(data.data[key].nodes, now);
+    } catch (error) {
+      console.error(`Error processing ${mode} schedules:`, error);
+      result.problems[mode] = 'invalid';
     }
+  }
 
-    // Process Splatfest data
+  try {
     result.splatfest = processSplatfestData(data.data);
-
-    return result;
   } catch (error) {
-    console.error('Error processing rotation data:', error);
-    return null;
+    console.error('Error processing Splatfest data:', error);
   }
+
+  return result;
 }
 
 /**
- * Find current and next rotation from a list of rotation nodes
+ * Process the Salmon Run schedules, or work out why they can't be shown
+ * @param {Object} data Raw API data
+ * @returns {Object} salmon (an empty timeline on a problem) and problem ('missing', 'invalid', 'empty' or null)
+ */
+function processSalmonSchedules(data) {
+  const empty = { ...emptyTimeline(), eggstra: emptyTimeline() };
+  const coop = data?.data?.coopGroupingSchedule;
+  if (!coop) {
+    checkSchedule(data?.data, 'coopGroupingSchedule', 'data');
+    return { salmon: empty, problem: 'missing' };
+  }
+
+  const problem = ['regularSchedules', 'bigRunSchedules', 'teamContestSchedules']
+    .map(key => checkSchedule(coop, key, 'data.coopGroupingSchedule', true))
+    .find(Boolean);
+  if (problem) return { salmon: empty, problem };
+
+  try {
+    const salmon = SalmonRun.processSalmonRunData(data);
+    // No shift running or announced is a gap in the data, not a quiet spell
+    return { salmon, problem: salmon.current || salmon.next ? null : 'empty' };
+  } catch (error) {
+    console.error('Error processing Salmon Run schedules:', error);
+    return { salmon: empty, problem: 'invalid' };
+  }
+}
+/**
+ * Build the rotation timeline from a list of rotation nodes
  * @param {Array} nodes List of rotation nodes from API
  * @param {Date} now Current time
  * @param {string} mode Game mode (regular, anarchy, xbattle)
- * @returns {Object} Object with current and next rotation
+ * @returns {Object} Object with current, next and all upcoming rotations
  */
 function findCurrentAndNext(nodes, now, mode) {
-  let current = null;
-  let next = null;
-  
-  if (!nodes?.length) return { current, next };
-  
-  // Sort by start time to simplify the logic
-  const sortedNodes = [...nodes].sort((a, b) => new Date(a.startTime) - new Date(b.startTime));
-  
-  const nowMs = now.getTime();
-  
-  for (const node of sortedNodes) {
+  if (!nodes?.length) return { current: null, next: null, upcoming: [] };
+
+  const rotations = [];
+
+  for (const node of nodes) {
     try {
       if (!node.startTime || !node.endTime) continue;
-      
-      const startTime = new Date(node.startTime);
-      const endTime = new Date(node.endTime);
-      const startMs = startTime.getTime();
-      const endMs = endTime.getTime();
-      
+
+      // Nodes without match settings are blocks taken over by a Splatfest
+      const setting = mode === 'regular' ? node.regularMatchSetting : node.xMatchSetting;
+      if (!setting) continue;
+
       // Extract rule and stages based on the mode
       let rule = { name: 'Unknown Mode' };
       let stages = [];
@@ -289,37 +588,30 @@ function findCurrentAndNext(nodes, now, mode) {
         rule = node.regularMatchSetting.vsRule || rule;
         stages = (node.regularMatchSetting.vsStages || []).map(stage => ({
           name: stage.name,
+          id: stage.id || null,
           image: stage.image?.url || null
         }));
       } else if (mode === 'xbattle' && node.xMatchSetting) {
         rule = node.xMatchSetting.vsRule || rule;
         stages = (node.xMatchSetting.vsStages || []).map(stage => ({
           name: stage.name,
+          id: stage.id || null,
           image: stage.image?.url || null
         }));
       }
-      
-      const processedNode = {
+
+      rotations.push({
         startTime: node.startTime,
         endTime: node.endTime,
         rule: rule,
         stages: stages
-      };
-      
-      // Current rotation is the one that spans the current time
-      if (startMs <= nowMs && endMs > nowMs) {
-        current = processedNode;
-      } 
-      // Next rotation is the earliest one that starts after now
-      else if (startMs > nowMs && (!next || startMs < new Date(next.startTime).getTime())) {
-        next = processedNode;
-      }
+      });
     } catch (error) {
       console.error(`Error processing ${mode} node:`, error);
     }
   }
-  
-  return { current, next };
+
+  return Utils.splitSchedule(rotations, now);
 }
 
 /**
@@ -333,37 +625,34 @@ function extractAnarchyMode(setting) {
     rule: setting.vsRule || { name: 'Unknown Mode' },
     stages: (setting.vsStages || []).map(stage => ({
       name: stage.name,
+      id: stage.id || null,
       image: stage.image?.url || null
     }))
   };
 }
 
 /**
- * Find current and next Anarchy rotations with both Series and Open modes
+ * Build the Anarchy timeline with both Series and Open modes
  * @param {Array} nodes List of rotation nodes from API
  * @param {Date} now Current time
- * @returns {Object} Object with current and next rotation (each containing series and open)
+ * @returns {Object} Object with current, next and upcoming rotations (each containing series and open)
  */
 function findCurrentAndNextAnarchy(nodes, now) {
-  let current = null;
-  let next = null;
+  if (!nodes?.length) return { current: null, next: null, upcoming: [] };
 
-  if (!nodes?.length) return { current, next };
+  const rotations = [];
 
-  const sortedNodes = [...nodes].sort((a, b) => new Date(a.startTime) - new Date(b.startTime));
-  const nowMs = now.getTime();
-
-  for (const node of sortedNodes) {
+  for (const node of nodes) {
     try {
       if (!node.startTime || !node.endTime) continue;
 
-      const startMs = new Date(node.startTime).getTime();
-      const endMs = new Date(node.endTime).getTime();
-
       const series = extractAnarchyMode(node.bankaraMatchSettings?.[0]);
       const open = extractAnarchyMode(node.bankaraMatchSettings?.[1]);
 
-      const processedNode = {
+      // Nodes without match settings are blocks taken over by a Splatfest
+      if (!series && !open) continue;
+
+      rotations.push({
         startTime: node.startTime,
         endTime: node.endTime,
         // Primary display uses Series data
@@ -372,31 +661,23 @@ function findCurrentAndNextAnarchy(nodes, now) {
         // Both sub-modes available
         series: series,
         open: open
-      };
-
-      if (startMs <= nowMs && endMs > nowMs) {
-        current = processedNode;
-      } else if (startMs > nowMs && (!next || startMs < new Date(next.startTime).getTime())) {
-        next = processedNode;
-      }
+      });
     } catch (error) {
       console.error('Error processing anarchy node:', error);
     }
   }
 
-  return { current, next };
+  return Utils.splitSchedule(rotations, now);
 }
 
 /**
  * Process event/challenge schedule data
  * @param {Array} nodes Event schedule nodes from API
  * @param {Date} now Current time
- * @returns {Object} Current and next challenge events
+ * @returns {Object} Current, next and upcoming challenge events
  */
 function processEventSchedules(nodes, now) {
-  let current = null;
-  let next = null;
-  const nowMs = now.getTime();
+  const periods = [];
 
   for (const event of nodes) {
     const setting = event.leagueMatchSetting;
@@ -408,34 +689,65 @@ function processEventSchedules(nodes, now) {
     const rule = setting.vsRule || { name: 'Unknown Mode' };
     const stages = (setting.vsStages || []).map(s => ({
       name: s.name,
+      id: s.id || null,
       image: s.image?.url || null
     }));
 
     for (const period of timePeriods) {
       if (!period.startTime || !period.endTime) continue;
 
-      const startMs = new Date(period.startTime).getTime();
-      const endMs = new Date(period.endTime).getTime();
-
-      const processedEvent = {
+      periods.push({
         startTime: period.startTime,
         endTime: period.endTime,
+        eventId: eventInfo.id || null,
         eventName: eventInfo.name || 'Unknown Event',
         eventDesc: eventInfo.desc || '',
         regulation: eventInfo.regulation || '',
         rule: rule,
         stages: stages
-      };
+      });
+    }
+  }
 
-      if (startMs <= nowMs && endMs > nowMs && !current) {
-        current = processedEvent;
-      } else if (startMs > nowMs && (!next || startMs < new Date(next.startTime).getTime())) {
-        next = processedEvent;
-      }
+  return Utils.splitSchedule(periods, now);
+}
+
+/**
+ * Build the Splatfest battle timeline with both Pro and Open modes
+ * @param {Array} nodes Fest schedule nodes from API
+ * @param {Date} now Current time
+ * @returns {Object} Object with current, next and upcoming fest rotations (each containing pro and open)
+ */
+function processFestSchedules(nodes, now) {
+  const rotations = [];
+
+  for (const node of nodes) {
+    try {
+      if (!node.startTime || !node.endTime || !node.festMatchSettings) continue;
+
+      // Pro is the CHALLENGE fest mode, Open is REGULAR
+      const settings = [].concat(node.festMatchSettings);
+      const proSetting = settings.find(s => s?.festMode === 'CHALLENGE') || settings[0];
+      const openSetting = settings.find(s => s?.festMode === 'REGULAR') || settings[1];
+
+      const pro = extractAnarchyMode(proSetting);
+      const open = extractAnarchyMode(openSetting);
+      if (!pro && !open) continue;
+
+      rotations.push({
+        startTime: node.startTime,
+        endTime: node.endTime,
+        rule: pro?.rule || open?.rule || { name: 'Unknown Mode' },
+        stages: pro?.stages || open?.stages || [],
+        pro: pro,
+        open: open
+      });
+    } catch (error) {
+      console.error('Error processing fest node:', error);
     }
   }
 
-  return { current, next };
+  return Utils.splitSchedule(rotations, now);
 }
 
 /**
@@ -447,11 +759,21 @@ function processSplatfestData(apiDataRoot) {
   // Check for currently active Splatfest
   const currentFest = apiDataRoot.currentFest;
   if (currentFest) {
+    // Older responses have a single tricolorStage, newer ones a tricolorStages list
+    const tricolorStages = currentFest.tricolorStages || (currentFest.tricolorStage ? [currentFest.tricolorStage] : []);
+
     return {
+      id: currentFest.id || null,
       title: currentFest.title || 'Splatfest',
       state: currentFest.state || 'ACTIVE',
       startTime: currentFest.startTime,
       endTime: currentFest.endTime,
+      midtermTime: currentFest.midtermTime || null,
+      tricolorStages: tricolorStages.map(stage => ({
+        name: stage.name,
+        id: stage.id || null,
+        image: stage.image?.url || null
+      })),
       teams: (currentFest.teams || []).map(t => ({
         teamName: t.teamName,
         color: t.color ? `rgba(${Math.round(t.color.r * 255)}, ${Math.round(t.color.g * 255)}, ${Math.round(t.color.b * 255)}, ${t.color.a})` : null,
@@ -463,12 +785,15 @@ function processSplatfestData(apiDataRoot) {
   // Check festSchedules for upcoming Splatfest periods with active settings
   const festNodes = apiDataRoot.festSchedules?.nodes || [];
   for (const node of festNodes) {
-    if (node.festMatchSettings && new Date(node.startTime).getTime() > Date.now()) {
+    if (node.festMatchSettings && new Date(node.startTime).getTime() > Utils.now()) {
       return {
+        id: null,
         title: 'Upcoming Splatfest',
         state: 'SCHEDULED',
         startTime: node.startTime,
         endTime: node.endTime,
+        midtermTime: null,
+        tricolorStages: [],
         teams: []
       };
     }
@@ -478,15 +803,15 @@ function processSplatfestData(apiDataRoot) {
 }
 
 /**
- * Create test data as fallback if API fails
+ * Create sample battle rotations for demo mode
  * @returns {Object} Generated rotation data
  */
 function createTestData() {
-  const now = new Date();
+  const now = new Date(Utils.now());
   const twoHoursLater = new Date(now.getTime() + 2 * 60 * 60 * 1000);
   const fourHoursLater = new Date(now.getTime() + 4 * 60 * 60 * 1000);
   
-  return {
+  const testData = {
     regular: {
       current: {
         startTime: now.toISOString(),
@@ -506,13 +831,29 @@ function createTestData() {
         startTime: now.toISOString(),
         endTime: twoHoursLater.toISOString(),
         rule: { name: "Splat Zones" },
-        stages: [{ name: "Mincemeat Metalworks" }, { name: "Undertow Spillway" }]
+        stages: [{ name: "Mincemeat Metalworks" }, { name: "Undertow Spillway" }],
+        series: {
+          rule: { name: "Splat Zones" },
+          stages: [{ name: "Mincemeat Metalworks" }, { name: "Undertow Spillway" }]
+        },
+        open: {
+          rule: { name: "Rainmaker" },
+          stages: [{ name: "Brinewater Springs" }, { name: "Flounder Heights" }]
+        }
       },
       next: {
         startTime: twoHoursLater.toISOString(),
         endTime: fourHoursLater.toISOString(),
         rule: { name: "Tower Control" },
-        stages: [{ name: "Hammerhead Bridge" }, { name: "Museum d'Alfonsino" }]
+        stages: [{ name: "Hammerhead Bridge" }, { name: "Museum d'Alfonsino" }],
+        series: {
+          rule: { name: "Tower Control" },
+          stages: [{ name: "Hammerhead Bridge" }, { name: "Museum d'Alfonsino" }]
+        },
+        open: {
+          rule: { name: "Clam Blitz" },
+          stages: [{ name: "Crableg Capital" }, { name: "Marlin Airport" }]
+        }
       }
     },
     xbattle: {
@@ -530,6 +871,18 @@ function createTestData() {
       }
     }
   };
+
+  // The upcoming timeline only holds the single generated next rotation
+  for (const mode of Object.keys(testData)) {
+    testData[mode].upcoming = [testData[mode].next];
+  }
+
+  return {
+    ...testData,
+    challenge: emptyTimeline(),
+    fest: emptyTimeline(),
+    splatfest: null
+  };
 }
 
 /**
@@ -539,7 +892,7 @@ function createTestData() {
  */
 async function sendRotationNotifications(newRotations, oldRotations) {
   const settings = await chrome.storage.sync.get([
-    'enableNotifications', 'notifyRegular', 'notifyAnarchy', 'notifyXbattle', 'notifySalmon'
+    'enableNotifications', 'notifyRegular', 'notifyAnarchySeries', 'notifyAnarchyOpen', 'notifyXbattle', 'notifySalmon'
   ]);
 
   if (!settings.enableNotifications) {
@@ -549,7 +902,8 @@ async function sendRotationNotifications(newRotations, oldRotations) {
 
   const modes = [
     { key: 'regular', name: 'Regular', setting: 'notifyRegular' },
-    { key: 'anarchy', name: 'Anarchy', setting: 'notifyAnarchy' },
+    { key: 'anarchy', subMode: 'series', name: 'Anarchy Series', setting: 'notifyAnarchySeries' },
+    { key: 'anarchy', subMode: 'open', name: 'Anarchy Open', setting: 'notifyAnarchyOpen' },
     { key: 'xbattle', name: 'X Battle', setting: 'notifyXbattle' },
     { key: 'salmon', name: 'Salmon Run', setting: 'notifySalmon' }
   ];
@@ -565,17 +919,25 @@ async function sendRotationNotifications(newRotations, oldRotations) {
     const oldCurrent = oldRotations?.[modeInfo.key]?.current;
 
     if (settings[modeInfo.setting] && isNewRotation(newCurrent, oldCurrent)) {
-      let title = `New ${modeInfo.name} Rotation!`;
+      // Titles and labels follow the browser's UI language, like the popup
+      let title = Utils.getMessage('notifyNewRotationTitle', Utils.getModeLabel(modeInfo.subMode || modeInfo.key));
       let message;
 
       if (modeInfo.key === 'salmon') {
-        message = `Stage: ${newCurrent.stage?.name || 'N/A'}`;
-        if (newCurrent.isBigRun) title = `BIG RUN IS HERE!`;
+        message = Utils.getMessage('notifyStage', Locale.stageName(newCurrent.stage));
+        if (newCurrent.isBigRun) title = Utils.getMessage('notifyBigRunTitle');
       } else {
-        message = `Mode: ${newCurrent.rule?.name || 'N/A'}\nStages: ${newCurrent.stages?.map(s => s.name).join(', ') || 'N/A'}`;
+        // Anarchy notifications describe only the sub-mode they were enabled for
+        const setting = modeInfo.subMode ? newCurrent[modeInfo.subMode] : newCurrent;
+        if (!setting) continue;
+        const stageNames = setting.stages?.map(s => Locale.stageName(s)).join(', ') || Utils.getMessage('notAvailable');
+        message = Utils.getMessage('notifyBattle', [Locale.ruleName(setting.rule), stageNames]);
       }
 
-      const notificationId = `rotation-${modeInfo.key}-${newCurrent.startTime}`;
+      message += `\n${Utils.formatTimeRange(newCurrent.startTime, newCurrent.endTime)}`;
+
+      const modeId = modeInfo.subMode ? `${modeInfo.key}-${modeInfo.subMode}` : modeInfo.key;
+      const notificationId = `rotation-${modeId}-${newCurrent.startTime}`;
 
       chrome.notifications.create(notificationId, {
         type: 'basic',
@@ -587,4 +949,242 @@ async function sendRotationNotifications(newRotations, oldRotations) {
       console.log(`Notification sent for ${modeInfo.name}`);
     }
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Sends one notification per watched rotation when it is first scheduled and when it goes live,
+ * however many watch rules it matches. Sent alerts are remembered in local storage until the rotation ends.
+ * @param {Object} rotationData The latest, complete rotation data.
+ */
+async function sendWatchlistNotifications(rotationData) {
+  const settings = await chrome.storage.sync.get(['enableNotifications']);
+  const rules = await Watchlist.loadRules();
+  const stored = await chrome.storage.local.get(['watchlistAlerts']);
+  const alerts = stored.watchlistAlerts || {};
+  const now = Utils.now();
+
+  // Forget alerts for rotations that have already ended
+  for (const key of Object.keys(alerts)) {
+    if (new Date(alerts[key].endTime).getTime() <= now) {
+      delete alerts[key];
+    }
+  }
+
+  if (settings.enableNotifications && rules.length > 0) {
+    const matches = Watchlist.findMatches(rules, rotationData);
+
+    for (const match of matches) {
+      const { rotation } = match;
+      const isLive = new Date(rotation.startTime).getTime() <= now;
+      const phase = isLive ? 'live' : 'scheduled';
+      const state = alerts[match.key] || { endTime: rotation.endTime };
+
+      if (state[phase]) continue;
+
+      // A match first seen while already live skips the "scheduled" alert
+      state.scheduled = true;
+      if (isLive) state.live = true;
+      alerts[match.key] = state;
+
+      const modeLabel = Utils.getModeLabel(match.mode.key);
+      const ruleName = match.mode.coop ? modeLabel : Locale.ruleName(rotation.rule);
+      const stageNames = match.matchedStages.map(name => {
+        const stage = rotation.stage?.name === name ? rotation.stage : rotation.stages?.find(s => s.name === name);
+        return Locale.stageName(stage || { name });
+      });
+      chrome.notifications.create(`watch-${match.key}-${phase}`, {
+        type: 'basic',
+        iconUrl: 'images/icon128.png',
+        title: Utils.getMessage(isLive ? 'notifyWatchLiveTitle' : 'notifyWatchScheduledTitle'),
+        message: `${Utils.getMessage('notifyWatchMatch', [modeLabel, ruleName, stageNames.join(', ')])}\n${Utils.formatTimeRange(rotation.startTime, rotation.endTime)}`,
+        priority: 1
+      });
+      console.log(`Watchlist notification sent for ${match.key} (${phase})`);
+    }
+  }
+
+  await chrome.storage.local.set({ 'watchlistAlerts': alerts });
+}
+
+/**
+ * Sends Eggstra Work notifications when a contest is first announced and when it opens.
+ * Sent alerts are remembered by contest start time until the contest ends.
+ * @param {Object} rotationData The latest, complete rotation data.
+ */
+async function sendEggstraNotifications(rotationData) {
+  const settings = await chrome.storage.sync.get(['enableNotifications', 'notifyEggstra']);
+  const stored = await chrome.storage.local.get(['eggstraAlerts']);
+  const alerts = stored.eggstraAlerts || {};
+  const now = Utils.now();
+
+  // Forget alerts for contests that have already ended
+  for (const key of Object.keys(alerts)) {
+    if (new Date(alerts[key].endTime).getTime() <= now) {
+      delete alerts[key];
+    }
+  }
+
+  if (settings.enableNotifications && settings.notifyEggstra) {
+    const contests = Utils.getModeRotations(rotationData, 'eggstra');
+
+    for (const contest of contests) {
+      const isOpen = new Date(contest.startTime).getTime() <= now;
+      const phase = isOpen ? 'open' : 'announced';
+      const state = alerts[contest.startTime] || { endTime: contest.endTime };
+
+      if (state[phase]) continue;
+
+      // A contest first seen while already open skips the announcement
+      state.announced = true;
+      if (isOpen) state.open = true;
+      alerts[contest.startTime] = state;
+
+      const weaponNames = contest.weapons?.map(w => Locale.weaponName(w)).join(', ') || Utils.getMessage('notAvailable');
+      chrome.notifications.create(`eggstra-${contest.startTime}-${phase}`, {
+        type: 'basic',
+        iconUrl: 'images/icon128.png',
+        title: Utils.getMessage(isOpen ? 'notifyEggstraOpenTitle' : 'notifyEggstraAnnouncedTitle'),
+        message: [
+          Utils.getMessage('notifyStage', Locale.stageName(contest.stage)),
+          Utils.getMessage('notifyWeapons', weaponNames),
+          Utils.formatTimeRange(contest.startTime, contest.endTime)
+        ].join('\n'),
+        priority: isOpen ? 2 : 1
+      });
+      console.log(`Eggstra Work notification sent (${phase}) for ${contest.startTime}`);
+    }
+  }
+
+  await chrome.storage.local.set({ 'eggstraAlerts': alerts });
+}
+
+/**
+ * Work out which Splatfest phase applies right now
+ * Decided by the fest's times; the API state is only a hint for when the half-time is unknown,
+ * since the cached state is still SCHEDULED when the check alarm fires at the start
+ * @param {Object} splatfest Processed Splatfest data
+ * @param {number} now Current time in ms
+ * @returns {string|null} 'announced', 'live', 'tricolor', 'ending', or null once the fest is over
+ */
+function getSplatfestPhase(splatfest, now) {
+  const start = new Date(splatfest.startTime).getTime();
+  const end = new Date(splatfest.endTime).getTime();
+
+  if (now >= end) return null;
+  if (now < start) return 'announced';
+  if (now >= end - SPLATFEST_ENDING_SOON_MINUTES * 60 * 1000) return 'ending';
+
+  const midterm = splatfest.midtermTime ? new Date(splatfest.midtermTime).getTime() : null;
+  if (midterm ? now >= midterm : splatfest.state === 'SECOND_HALF') return 'tricolor';
+  return 'live';
+}
+
+/**
+ * Build the notification for a Splatfest phase
+ * @param {Object} splatfest Processed Splatfest data
+ * @param {string} phase Phase from getSplatfestPhase
+ * @returns {Object} Notification title and message
+ */
+function describeSplatfestPhase(splatfest, phase) {
+  const { title: festTitle, teamNames } = Locale.festText(splatfest);
+  const teams = teamNames.join(' vs ');
+  const heading = teams ? `${festTitle}\n${teams}` : festTitle;
+
+  switch (phase) {
+    case 'announced':
+      return {
+        title: Utils.getMessage('notifySplatfestAnnouncedTitle'),
+        message: `${heading}\n${Utils.getMessage('festStarts', Utils.formatTime(new Date(splatfest.startTime)))}`
+      };
+    case 'live':
+      return {
+        title: Utils.getMessage('notifySplatfestLiveTitle'),
+        message: `${heading}\n${Utils.formatTimeRange(splatfest.startTime, splatfest.endTime)}`
+      };
+    case 'tricolor': {
+      const stages = splatfest.tricolorStages?.map(stage => Locale.stageName(stage)).join(' / ') || Utils.getMessage('notAvailable');
+      return { title: Utils.getMessage('notifyTricolorTitle'), message: `${festTitle}\n${Utils.getMessage('notifyStage', stages)}` };
+    }
+    default:
+      return {
+        title: Utils.getMessage('notifySplatfestEndingTitle'),
+        message: `${heading}\n${Utils.getMessage('festEnds', Utils.formatTime(new Date(splatfest.endTime)))}`
+      };
+  }
+}
+
+/**
+ * Sends Splatfest notifications when a fest is announced, goes live, opens Tricolor battles
+ * and is about to end. Each phase fires once per fest ID; when several phases were missed
+ * only the latest one is sent.
+ * @param {Object} rotationData The latest, complete rotation data.
+ */
+async function sendSplatfestNotifications(rotationData) {
+  const settings = await chrome.storage.sync.get(['enableNotifications', 'notifySplatfest']);
+  const stored = await chrome.storage.local.get(['splatfestAlerts']);
+  const alerts = stored.splatfestAlerts || {};
+  const now = Utils.now();
+
+  // Forget alerts for fests that have already ended
+  for (const key of Object.keys(alerts)) {
+    if (new Date(alerts[key].endTime).getTime() <= now) {
+      delete alerts[key];
+    }
+  }
+
+  const splatfest = rotationData?.splatfest;
+  const phase = splatfest?.startTime && splatfest?.endTime ? getSplatfestPhase(splatfest, now) : null;
+
+  if (phase) {
+    scheduleSplatfestCheck(splatfest, now);
+
+    // Without a fest ID (a fest seen only in the schedule) there is nothing stable to remember alerts by
+    const festId = splatfest.id;
+    if (festId && settings.enableNotifications && settings.notifySplatfest) {
+      const state = alerts[festId] || { endTime: splatfest.endTime };
+
+      if (!state[phase]) {
+        // Earlier phases that were missed are marked as sent rather than sent late
+        for (const earlier of SPLATFEST_PHASES.slice(0, SPLATFEST_PHASES.indexOf(phase) + 1)) {
+          state[earlier] = true;
+        }
+        state.endTime = splatfest.endTime;
+        alerts[festId] = state;
+
+        const { title, message } = describeSplatfestPhase(splatfest, phase);
+        chrome.notifications.create(`splatfest-${festId}-${phase}`, {
+          type: 'basic',
+          iconUrl: 'images/icon128.png',
+          title: title,
+          message: message,
+          priority: phase === 'announced' ? 1 : 2
+        });
+        console.log(`Splatfest notification sent (${phase}) for ${festId}`);
+      }
+    }
+  }
+
+  await chrome.storage.local.set({ 'splatfestAlerts': alerts });
+}
+
+/**
+ * Wake up at the next Splatfest phase change (start, half-time, ending soon),
+ * since those don't always line up with a data refresh
+ * @param {Object} splatfest Processed Splatfest data
+ * @param {number} now Current time in ms
+ */
+function scheduleSplatfestCheck(splatfest, now) {
+  const times = [
+    new Date(splatfest.startTime).getTime(),
+    splatfest.midtermTime ? new Date(splatfest.midtermTime).getTime() : null,
+    new Date(splatfest.endTime).getTime() - SPLATFEST_ENDING_SOON_MINUTES * 60 * 1000
+  ].filter(time => time && time > now);
+
+  if (times.length === 0) {
+    chrome.alarms.clear(SPLATFEST_ALARM);
+    return;
+  }
+
+  // A few seconds late so the phase has definitely changed
+  chrome.alarms.create(SPLATFEST_ALARM, { when: Utils.toRealTime(Math.min(...times) + 5000) });
+}
@@ -0,0 +1,351 @@
+/**
+ * Splatoon 3 Rotation Tracker - Toolbar Badge
+ * Shows the pinned mode's rule or time left on the toolbar icon, and every mode's rotation in its tooltip.
+ * The icon itself is redrawn with the pinned mode's colour and rule glyph.
+ */
+
+// Ensure utils are available
+if (typeof Utils === 'undefined') {
+  try {
+    importScripts('utils.js');
+  } catch (e) {
+    // In popup context, this will be loaded by popup.html
+    console.log('Utils will be loaded by popup.html');
+  }
+}
+
+// Repeating alarm that keeps the badge current between data refreshes
+const BADGE_ALARM = 'badgeUpdate';
+
+// During a Splatfest, Regular becomes Splatfest Open and Anarchy becomes Splatfest Pro
+const FEST_BADGE_KEYS = { regular: 'open', series: 'pro', open: 'pro' };
+
+// No mode is pinned until the user picks one, so the badge stays empty by default
+const DEFAULT_BADGE_SETTINGS = { mode: null, show: 'rule' };
+
+// Coop modes have no rule, so they get their own codes
+const COOP_BADGE_CODES = { salmon: 'SR', bigRun: 'BR', eggstra: 'EW' };
+
+// Badge colours are all bright, so dark text reads best on every mode
+const BADGE_TEXT_COLOR = '#222222';
+
+// Packaged icons, used when no mode is pinned or the icon can't be drawn
+const STATIC_ICON_PATHS = { 16: 'images/icon16.png', 32: 'images/icon32.png', 48: 'images/icon48.png' };
+
+// Drawn icon sizes (1x and 2x toolbar)
+const ICON_SIZES = [16, 32];
+
+// Corner markers; Big Run shares the Salmon Run orange, so its marker is purple
+const ICON_OVERLAY_COLORS = { bigRun: '#603bff', splatfest: Utils.MODE_COLORS.splatfest };
+
+/**
+ * Add a circle to the current path
+ * @param {OffscreenCanvasRenderingContext2D} ctx Drawing context
+ * @param {number} x Centre x
+ * @param {number} y Centre y
+ * @param {number} r Radius
+ */
+function addCircle(ctx, x, y, r) {
+  ctx.moveTo(x + r, y);
+  ctx.arc(x, y, r, 0, Math.PI * 2);
+}
+
+// Glyph drawers keyed by badge code, on a 16x16 grid
+const ICON_GLYPHS = {
+  // Turf War: an ink splat
+  TW: ctx => {
+    addCircle(ctx, 8, 8.5, 4.5);
+    addCircle(ctx, 3, 4, 1.3);
+    addCircle(ctx, 13, 4.5, 1);
+    addCircle(ctx, 12.5, 13, 1.2);
+  },
+  // Splat Zones: a zone outline
+  SZ: ctx => {
+    ctx.rect(3, 3, 10, 10);
+    ctx.rect(5.5, 5.5, 5, 5);
+  },
+  // Tower Control: the tower on its base
+  TC: ctx => {
+    ctx.rect(5.5, 2.5, 5, 5);
+    ctx.moveTo(4, 14);
+    ctx.lineTo(12, 14);
+    ctx.lineTo(10.5, 8.5);
+    ctx.lineTo(5.5, 8.5);
+    ctx.closePath();
+  },
+  // Rainmaker: the shield
+  RM: ctx => {
+    ctx.moveTo(8, 2);
+    ctx.lineTo(13.5, 8);
+    ctx.lineTo(8, 14);
+    ctx.lineTo(2.5, 8);
+    ctx.closePath();
+  },
+  // Clam Blitz: a clam shell
+  CB: ctx => {
+    ctx.moveTo(2.5, 11);
+    ctx.arc(8, 11, 5.5, Math.PI, 0);
+    ctx.closePath();
+    ctx.rect(3.5, 12, 9, 1.5);
+  },
+  // Salmon Run and Big Run: a salmon
+  SR: ctx => {
+    ctx.ellipse(7, 8, 5, 3, 0, 0, Math.PI * 2);
+    ctx.moveTo(11, 8);
+    ctx.lineTo(15, 4.5);
+    ctx.lineTo(15, 11.5);
+    ctx.closePath();
+  },
+  // Eggstra Work: a golden egg
+  EW: ctx => {
+    ctx.ellipse(8, 8.5, 4, 5.5, 0, 0, Math.PI * 2);
+  }
+};
+ICON_GLYPHS.BR = ICON_GLYPHS.SR;
+
+// Icon currently shown, so the once-a-minute badge update doesn't redraw an unchanged icon
+let currentIconKey = null;
+
+/**
+ * Load the badge settings from storage
+ * @returns {Promise<Object>} mode (tracked mode key or null) and show ('rule' or 'time')
+ */
+async function loadBadgeSettings() {
+  const { badge } = await chrome.storage.sync.get(['badge']);
+  return { ...DEFAULT_BADGE_SETTINGS, ...badge };
+}
+
+/**
+ * Find the rotation of a tracked mode that is running right now
+ * @param {Object} rotationData Processed rotation data
+ * @param {string} modeKey Key from Utils.TRACKED_MODES
+ * @param {number} now Current time in ms
+ * @returns {Object|null} Running rotation
+ */
+function findRunningRotation(rotationData, modeKey, now) {
+  return Utils.getModeRotations(rotationData, modeKey).find(rotation =>
+    new Date(rotation.startTime).getTime() <= now && now < new Date(rotation.endTime).getTime()
+  ) || null;
+}
+
+/**
+ * Find what a pinned mode is playing right now, Splatfest battles included
+ * @param {Object} rotationData Processed rotation data
+ * @param {Object} mode Entry from Utils.TRACKED_MODES
+ * @param {number} now Current time in ms
+ * @returns {Object|null} Running rotation
+ */
+function findPinnedRotation(rotationData, mode, now) {
+  const rotation = findRunningRotation(rotationData, mode.key, now);
+  const fest = rotationData?.fest?.current;
+  const festKey = FEST_BADGE_KEYS[mode.key];
+  if (rotation || !fest?.[festKey]) return rotation;
+
+  const isRunning = new Date(fest.startTime).getTime() <= now && now < new Date(fest.endTime).getTime();
+  return isRunning ? { ...fest[festKey], startTime: fest.startTime, endTime: fest.endTime, isFest: true } : null;
+}
+
+/**
+ * Short code for a rotation, matching the popup's rule icons
+ * @param {Object} mode Entry from Utils.TRACKED_MODES
+ * @param {Object} rotation Running rotation
+ * @returns {string} Badge code, e.g. "SZ"
+ */
+function getBadgeCode(mode, rotation) {
+  if (mode.key === 'eggstra') return COOP_BADGE_CODES.eggstra;
+  if (mode.coop) return rotation.isBigRun ? COOP_BADGE_CODES.bigRun : COOP_BADGE_CODES.salmon;
+  return Utils.getRuleIcon(rotation.rule?.name)?.label || '?';
+}
+
+/**
+ * Format the time left in a rotation to fit the badge's four characters
+ * Minutes up to 99, whole hours beyond that (Salmon Run shifts run for days)
+ * @param {number} ms Milliseconds left
+ * @returns {string} e.g. "45m" or "3h"
+ */
+function formatBadgeTimeLeft(ms) {
+  const minutes = Math.ceil(ms / (60 * 1000));
+  return minutes < 100 ? `${minutes}m` : `${Math.floor(minutes / 60)}h`;
+}
+
+/**
+ * Describe one rotation for the tooltip
+ * @param {string} label Mode name
+ * @param {Object|null} rotation Running rotation
+ * @returns {string} Tooltip line
+ */
+function describeTooltipLine(label, rotation) {
+  if (!rotation) return `${label}: —`;
+  if (rotation.stage) {
+    const bigRun = rotation.isBigRun ? ` (${Utils.getMessage('bigRun')})` : '';
+    return `${label}: ${Locale.stageName(rotation.stage)}${bigRun}`;
+  }
+  const stageNames = (rotation.stages || []).map(stage => Locale.stageName(stage)).join(' / ');
+  return `${label}: ${Locale.ruleName(rotation.rule)} — ${stageNames}`;
+}
+
+/**
+ * Build the tooltip listing every mode's current rotation
+ * @param {Object} rotationData Processed rotation data
+ * @param {number} now Current time in ms
+ * @returns {string} Tooltip text
+ */
+function buildBadgeTooltip(rotationData, now) {
+  // Demo and scenario rotations are made up, so say so before anything else
+  const label = Utils.getGeneratedDataLabel(rotationData);
+  const title = Utils.getMessage('extName');
+  const lines = [label ? Utils.getMessage('generatedDataTooltip', [label, title]) : title];
+
+  for (const mode of Utils.TRACKED_MODES) {
+    const rotation = findRunningRotation(rotationData, mode.key, now);
+    // Eggstra Work only matters while a contest is on
+    if (mode.key === 'eggstra' && !rotation) continue;
+    lines.push(describeTooltipLine(Utils.getModeLabel(mode.key), rotation));
+  }
+
+  // During a Splatfest the fest battles replace Regular and Anarchy
+  const fest = rotationData?.fest?.current;
+  if (fest && new Date(fest.startTime).getTime() <= now && now < new Date(fest.endTime).getTime()) {
+    if (fest.open) lines.push(describeTooltipLine(Utils.getMessage('festOpen'), fest.open));
+    if (fest.pro) lines.push(describeTooltipLine(Utils.getMessage('festPro'), fest.pro));
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Draw one size of the toolbar icon
+ * @param {number} size Icon size in pixels
+ * @param {string} color Background colour
+ * @param {string} code Badge code picking the glyph
+ * @param {string|null} overlay 'bigRun', 'splatfest' or null
+ * @returns {ImageData} Icon pixels
+ */
+function drawIcon(size, color, code, overlay) {
+  const canvas = new OffscreenCanvas(size, size);
+  const ctx = canvas.getContext('2d');
+  ctx.scale(size / 16, size / 16);
+
+  ctx.fillStyle = color;
+  ctx.beginPath();
+  ctx.roundRect(0, 0, 16, 16, 3);
+  ctx.fill();
+
+  if (ICON_GLYPHS[code]) {
+    ctx.fillStyle = BADGE_TEXT_COLOR;
+    ctx.beginPath();
+    ICON_GLYPHS[code](ctx);
+    // Even-odd keeps the hole in outlined glyphs like Splat Zones
+    ctx.fill('evenodd');
+  }
+
+  if (overlay) {
+    ctx.fillStyle = ICON_OVERLAY_COLORS[overlay];
+    ctx.strokeStyle = BADGE_TEXT_COLOR;
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(9, 16);
+    ctx.lineTo(16, 16);
+    ctx.lineTo(16, 9);
+    ctx.closePath();
+    ctx.fill();
+    ctx.stroke();
+  }
+
+  return ctx.getImageData(0, 0, size, size);
+}
+
+/**
+ * Show the pinned mode's rule on the toolbar icon, or the packaged icon when there's nothing to show
+ * @param {Object|null} mode Pinned entry from Utils.TRACKED_MODES
+ * @param {Object|null} rotation Running rotation of that mode
+ */
+async function updateIcon(mode, rotation) {
+  const code = mode && rotation ? getBadgeCode(mode, rotation) : null;
+  const overlay = rotation?.isFest ? 'splatfest' : rotation?.isBigRun ? 'bigRun' : null;
+  const key = code ? `${mode.source}|${code}|${overlay}` : 'static';
+  if (key === currentIconKey) return;
+
+  if (code && typeof OffscreenCanvas !== 'undefined') {
+    try {
+      const imageData = {};
+      ICON_SIZES.forEach(size => {
+        imageData[size] = drawIcon(size, Utils.MODE_COLORS[mode.source], code, overlay);
+      });
+      await chrome.action.setIcon({ imageData });
+      currentIconKey = key;
+      return;
+    } catch (error) {
+      console.error('Failed to draw toolbar icon:', error);
+    }
+  }
+
+  // Remember the fallback too, so a drawing error isn't retried every minute
+  await chrome.action.setIcon({ path: STATIC_ICON_PATHS });
+  currentIconKey = key;
+}
+
+/**
+ * Update the toolbar badge and tooltip from the rotation data
+ * @param {Object|null} rotationData Processed rotation data
+ */
+async function updateBadge(rotationData) {
+  const now = Utils.now();
+  const settings = await loadBadgeSettings();
+
+  await chrome.action.setTitle({
+    title: rotationData ? buildBadgeTooltip(rotationData, now) : Utils.getMessage('extName')
+  });
+
+  const mode = Utils.TRACKED_MODES.find(m => m.key === settings.mode);
+  if (!mode) {
+    await chrome.action.setBadgeText({ text: '' });
+    await updateIcon(null, null);
+    await chrome.alarms.clear(BADGE_ALARM);
+    return;
+  }
+
+  const rotation = findPinnedRotation(rotationData, mode, now);
+  let text = '';
+  if (rotation) {
+    text = settings.show === 'time'
+      ? formatBadgeTimeLeft(new Date(rotation.endTime).getTime() - now)
+      : getBadgeCode(mode, rotation);
+  }
+
+  await chrome.action.setBadgeText({ text });
+  await chrome.action.setBadgeBackgroundColor({ color: Utils.MODE_COLORS[mode.source] });
+  // setBadgeTextColor is newer than the rest of the action API
+  if (chrome.action.setBadgeTextColor) {
+    await chrome.action.setBadgeTextColor({ color: BADGE_TEXT_COLOR });
+  }
+  await updateIcon(mode, rotation);
+
+  // Keep one repeating alarm while a mode is pinned; recreating it would reset its timer
+  if (!(await chrome.alarms.get(BADGE_ALARM))) {
+    chrome.alarms.create(BADGE_ALARM, { periodInMinutes: 1 });
+  }
+}
+
+/**
+ * Check whether an alarm is the badge refresh alarm
+ * @param {Object} alarm Alarm from chrome.alarms.onAlarm
+ * @returns {boolean} Whether it belongs to the badge
+ */
+function isBadgeAlarm(alarm) {
+  return alarm.name === BADGE_ALARM;
+}
+
+// Export the module
+const ToolbarBadge = {
+  loadBadgeSettings,
+  updateBadge,
+  isBadgeAlarm
+};
+
+// Make ToolbarBadge available in different contexts
+if (typeof window !== 'undefined') {
+  window.ToolbarBadge = ToolbarBadge;
+} else if (typeof self !== 'undefined') {
+  self.ToolbarBadge = ToolbarBadge;
+}
@@ -0,0 +1,296 @@
+/**
+ * Splatoon 3 Rotation Tracker - Calendar Grid
+ * Shows every battle mode and Salmon Run side by side, one row per two-hour block.
+ */
+
+document.addEventListener('DOMContentLoaded', function() {
+  // Battle rotations change every two hours, aligned to even UTC hours
+  const BLOCK_MS = 2 * 60 * 60 * 1000;
+
+  // The full schedule view stops after a week even if Salmon Run data goes further
+  const MAX_RANGE_MS = 7 * 24 * 60 * 60 * 1000;
+
+  // Columns of the grid, keyed by Utils.TRACKED_MODES, with the message key of their heading
+  const COLUMNS = [
+    { key: 'regular', labelKey: 'mode_regular' },
+    { key: 'series', labelKey: 'subModeSeries' },
+    { key: 'open', labelKey: 'subModeOpen' },
+    { key: 'xbattle', labelKey: 'calendarColumnX' },
+    { key: 'challenge', labelKey: 'mode_challenge' },
+    { key: 'salmon', labelKey: 'mode_salmon' }
+  ];
+
+  // During a Splatfest, Regular becomes Splatfest Open and Anarchy becomes Splatfest Pro
+  const FEST_COLUMNS = {
+    regular: { key: 'open', labelKey: 'festOpen' },
+    series: { key: 'pro', labelKey: 'festPro' },
+    open: { key: 'pro', labelKey: 'festPro' }
+  };
+
+  // Static text comes from the _locales catalogs for the browser's language
+  document.documentElement.lang = chrome.i18n.getUILanguage();
+  Utils.localizePage();
+
+  const elements = {
+    grid: document.getElementById('calendar-grid'),
+    demoBanner: document.getElementById('demo-banner'),
+    devBanner: document.getElementById('dev-banner'),
+    lastUpdated: document.getElementById('last-updated'),
+    rangeButtons: document.querySelectorAll('.range-btn')
+  };
+
+  // 'day' for the next 24 hours, 'all' for everything the API knows about
+  let range = 'day';
+  let rotationData = null;
+
+  elements.rangeButtons.forEach(btn => {
+    btn.addEventListener('click', () => {
+      range = btn.dataset.range;
+      elements.rangeButtons.forEach(b => b.classList.toggle('active', b === btn));
+      renderGrid();
+    });
+  });
+
+  // Re-render when the background fetches new data or the time setting changes
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && changes.rotationData) {
+      loadData();
+    } else if (areaName === 'sync' && changes.timeDisplay) {
+      renderGrid();
+    }
+  });
+
+  // Locale reloads its names when the language changes; redraw once they're in
+  Locale.onLocaleChange(renderGrid);
+
+  // Move the "now" highlight along as blocks pass
+  setInterval(renderGrid, 60 * 1000);
+
+  loadData();
+
+  /**
+   * Read the cached rotation data and render the grid
+   */
+  async function loadData() {
+    try {
+      await Promise.all([Utils.loadTimeSettings(), Locale.initLocale(), Utils.loadClock()]);
+      const data = await chrome.storage.local.get(['rotationData', 'lastUpdated']);
+      rotationData = data.rotationData || null;
+      elements.lastUpdated.textContent = data.lastUpdated ? Utils.formatTime(new Date(data.lastUpdated)) : Utils.getMessage('never');
+      renderGrid();
+    } catch (error) {
+      console.error('Failed to load rotation data:', error);
+      setMessage(Utils.getMessage('calendarLoadFailed'), 'error');
+    }
+  }
+
+  /**
+   * Replace the grid with a single message
+   * @param {string} text Message text
+   * @param {string} className CSS class for the message
+   */
+  function setMessage(text, className) {
+    elements.grid.textContent = '';
+    const el = document.createElement('div');
+    el.className = className;
+    el.textContent = text;
+    elements.grid.appendChild(el);
+  }
+
+  /**
+   * Get the rotations shown in one column, Splatfest battles included
+   * @param {string} modeKey Column key
+   * @returns {Array} Rotations soonest first
+   */
+  function getColumnRotations(modeKey) {
+    const rotations = Utils.getModeRotations(rotationData, modeKey);
+    const festColumn = FEST_COLUMNS[modeKey];
+    const fest = rotationData?.fest;
+    if (!festColumn || !fest) return rotations;
+
+    const festRotations = [fest.current, ...(fest.upcoming || [])]
+      .filter(rotation => rotation?.[festColumn.key])
+      .map(rotation => ({
+        startTime: rotation.startTime,
+        endTime: rotation.endTime,
+        rule: rotation[festColumn.key].rule,
+        stages: rotation[festColumn.key].stages,
+        festLabel: Utils.getMessage(festColumn.labelKey)
+      }));
+
+    return [...rotations, ...festRotations];
+  }
+
+  /**
+   * Work out the two-hour blocks to show
+   * @param {Object} columns Map of column key to rotations
+   * @returns {Array<number>} Block start times in ms
+   */
+  function getBlocks(columns) {
+    const firstBlock = Math.floor(Utils.now() / BLOCK_MS) * BLOCK_MS;
+    let lastEnd = firstBlock + 24 * 60 * 60 * 1000;
+
+    if (range === 'all') {
+      const ends = Object.values(columns).flat().map(rotation => new Date(rotation.endTime).getTime());
+      lastEnd = Math.min(Math.max(lastEnd, ...ends), firstBlock + MAX_RANGE_MS);
+    }
+
+    const blocks = [];
+    for (let time = firstBlock; time < lastEnd; time += BLOCK_MS) {
+      blocks.push(time);
+    }
+    return blocks;
+  }
+
+  /**
+   * Show or hide the banners for demo data and for a developer scenario or moved clock
+   */
+  function renderBanners() {
+    elements.demoBanner.style.display = rotationData?.isDemo ? 'block' : 'none';
+    const devText = RotationView.describeDeveloperMode(rotationData);
+    elements.devBanner.textContent = devText || '';
+    elements.devBanner.style.display = devText ? 'block' : 'none';
+  }
+
+  /**
+   * Render the whole grid from the cached data
+   */
+  function renderGrid() {
+    renderBanners();
+
+    if (!rotationData) {
+      setMessage(Utils.getMessage('calendarNoData'), 'no-data');
+      return;
+    }
+
+    const columns = {};
+    COLUMNS.forEach(column => {
+      columns[column.key] = getColumnRotations(column.key);
+    });
+
+    const blocks = getBlocks(columns);
+    const now = Utils.now();
+
+    const table = document.createElement('table');
+    table.className = 'calendar-table';
+
+    const headRow = document.createElement('tr');
+    const corner = document.createElement('th');
+    corner.textContent = Utils.getMessage('calendarTime');
+    headRow.appendChild(corner);
+    COLUMNS.forEach(column => {
+      const th = document.createElement('th');
+      th.className = `calendar-head calendar-${column.key}`;
+      th.textContent = Utils.getMessage(column.labelKey);
+      headRow.appendChild(th);
+    });
+    const thead = document.createElement('thead');
+    thead.appendChild(headRow);
+    table.appendChild(thead);
+
+    const tbody = document.createElement('tbody');
+    // Last cell and rotation per column, so long rotations span several rows
+    const previous = {};
+
+    blocks.forEach(blockStart => {
+      const row = document.createElement('tr');
+      if (blockStart <= now && now < blockStart + BLOCK_MS) {
+        row.classList.add('calendar-now');
+      }
+
+      const timeCell = document.createElement('th');
+      timeCell.className = 'calendar-time';
+      timeCell.textContent = Utils.formatTime(new Date(blockStart));
+      // Friend zones as secondary times under the main one
+      Utils.getTimeSettings().friendZones.forEach(zone => {
+        appendLine(timeCell, 'friend-times', `${Utils.getTimeZoneLabel(zone)}: ${Utils.formatTime(new Date(blockStart), zone)}`);
+      });
+      row.appendChild(timeCell);
+
+      COLUMNS.forEach(column => {
+        const rotation = columns[column.key].find(r =>
+          new Date(r.startTime).getTime() <= blockStart && blockStart < new Date(r.endTime).getTime()
+        ) || null;
+
+        const last = previous[column.key];
+        if (rotation && last && last.rotation === rotation) {
+          last.cell.rowSpan += 1;
+          return;
+        }
+
+        const cell = createCell(column.key, rotation);
+        previous[column.key] = { cell, rotation };
+        row.appendChild(cell);
+      });
+
+      tbody.appendChild(row);
+    });
+
+    table.appendChild(tbody);
+    elements.grid.textContent = '';
+    elements.grid.appendChild(table);
+  }
+
+  /**
+   * Create one grid cell
+   * @param {string} modeKey Column key
+   * @param {Object|null} rotation Rotation running during the block, if any
+   * @returns {HTMLElement} Table cell
+   */
+  function createCell(modeKey, rotation) {
+    const cell = document.createElement('td');
+    cell.className = `calendar-cell calendar-${modeKey}`;
+
+    if (!rotation) {
+      cell.classList.add('calendar-empty');
+      cell.textContent = '—';
+      return cell;
+    }
+
+    if (rotation.festLabel) {
+      cell.classList.add('calendar-fest');
+      appendLine(cell, 'calendar-label', rotation.festLabel);
+    }
+
+    if (modeKey === 'salmon') {
+      if (rotation.isBigRun) appendLine(cell, 'big-run-badge', Utils.getMessage('bigRun'));
+      appendLine(cell, 'calendar-stage', Locale.stageName(rotation.stage));
+      cell.title = Utils.formatTimeRange(rotation.startTime, rotation.endTime);
+      return cell;
+    }
+
+    if (modeKey === 'challenge' && rotation.eventName) {
+      appendLine(cell, 'calendar-label', Locale.eventText(rotation).name);
+    }
+
+    const ruleEl = appendLine(cell, 'calendar-rule', Locale.ruleName(rotation.rule));
+    const iconInfo = Utils.getRuleIcon(rotation.rule?.name);
+    if (iconInfo) {
+      const icon = document.createElement('span');
+      icon.className = `rule-icon ${iconInfo.cls}`;
+      icon.textContent = iconInfo.label;
+      ruleEl.prepend(icon);
+    }
+
+    (rotation.stages || []).forEach(stage => {
+      appendLine(cell, 'calendar-stage', Locale.stageName(stage));
+    });
+
+    return cell;
+  }
+
+  /**
+   * Append a text line to a cell
+   * @param {HTMLElement} cell Table cell
+   * @param {string} className CSS class for the line
+   * @param {string} text Line text
+   * @returns {HTMLElement} The line element
+   */
+  function appendLine(cell, className, text) {
+    const el = document.createElement('div');
+    el.className = className;
+    el.textContent = text;
+    cell.appendChild(el);
+    return el;
+  }
+});
@@ -0,0 +1,136 @@
+/**
+ * Splatoon 3 Rotation Tracker - Developer Scenarios
+ * A hidden developer mode: fetchAllData() reads a bundled schedules.json snapshot instead of the API, and the
+ * extension's clock is moved to a moment inside it, so a Splatfest, a Big Run, Eggstra Work, an empty Challenge
+ * schedule or an API outage can be tried at any time. The clock can also be moved on its own, against live data.
+ */
+
+// Ensure utils are available
+if (typeof Utils === 'undefined') {
+  try {
+    importScripts('utils.js');
+  } catch (e) {
+    // In popup context, this will be loaded by the page
+    console.log('Utils will be loaded by the page');
+  }
+}
+
+// The running scenario's ID, kept in chrome.storage.local under "devScenario"
+const DEV_SCENARIO_KEY = 'devScenario';
+
+// Snapshots live in fixtures/schedules/; clock is the moment each one is shown at.
+// Without a file, the scenario answers with an HTTP status instead, as the API does when it's down,
+// and leaves the clock alone so the previous data can be seen going stale.
+const DEV_SCENARIOS = {
+  splatfest: {
+    label: 'Splatfest, second half',
+    file: 'splatfest.json',
+    clock: '2025-06-15T10:40:00Z'
+  },
+  bigRun: {
+    label: 'Big Run',
+    file: 'big-run.json',
+    clock: '2025-06-21T12:30:00Z'
+  },
+  eggstraWork: {
+    label: 'Eggstra Work contest',
+    file: 'eggstra-work.json',
+    clock: '2025-06-28T09:15:00Z'
+  },
+  emptyChallenge: {
+    label: 'No Challenge scheduled',
+    file: 'empty-challenge.json',
+    clock: '2025-07-05T14:50:00Z'
+  },
+  outage: {
+    label: 'API outage (HTTP 503)',
+    status: 503
+  }
+};
+
+/**
+ * Get the scenario fetchAllData() should use instead of the API
+ * @returns {Promise<Object|null>} id plus the scenario's label, file, status and clock, or null for live data
+ */
+async function getActiveScenario() {
+  const data = await chrome.storage.local.get([DEV_SCENARIO_KEY]);
+  const id = data[DEV_SCENARIO_KEY];
+  return DEV_SCENARIOS[id] ? { id, ...DEV_SCENARIOS[id] } : null;
+}
+
+/**
+ * Move the extension's clock, or put it back on real time
+ * The shifted clock keeps ticking, so rotations still end and countdowns still run
+ * @param {Date|string|number|null} time Moment the clock should show now, or null for real time
+ * @returns {Promise<number>} Offset from real time in ms
+ */
+async function setClock(time) {
+  if (time === null || time === undefined) {
+    await chrome.storage.local.remove('devClock');
+    return 0;
+  }
+
+  const target = new Date(time).getTime();
+  if (Number.isNaN(target)) throw new Error(`Invalid clock time: ${time}`);
+
+  const offset = target - Date.now();
+  await chrome.storage.local.set({ devClock: { offset } });
+  return offset;
+}
+
+/**
+ * Switch fetches over to a scenario and move the clock to it
+ * The data only changes on the next fetch, so follow this with a refresh
+ * @param {string} id Key of DEV_SCENARIOS
+ * @param {Date|string|number|null} [clock] Moment to show instead of the scenario's own, or null for real time
+ * @returns {Promise<Object>} The started scenario
+ */
+async function startScenario(id, clock) {
+  const scenario = DEV_SCENARIOS[id];
+  if (!scenario) throw new Error(`Unknown scenario: ${id}`);
+
+  await chrome.storage.local.set({ [DEV_SCENARIO_KEY]: id });
+
+  const time = clock === undefined ? scenario.clock : clock;
+  if (time !== undefined) await setClock(time);
+
+  console.log(`Developer scenario "${scenario.label}" started`);
+  return { id, ...scenario };
+}
+
+/**
+ * Go back to live data on the real clock
+ */
+async function stopScenario() {
+  await chrome.storage.local.remove([DEV_SCENARIO_KEY, 'devClock']);
+  console.log('Developer scenario stopped');
+}
+
+/**
+ * Answer a schedules request from a scenario
+ * @param {Object} scenario Scenario from getActiveScenario()
+ * @returns {Promise<Response>} The bundled snapshot, or an error response for an outage
+ */
+async function fetchScenario(scenario) {
+  if (!scenario.file) {
+    return new Response(null, { status: scenario.status });
+  }
+  return fetch(chrome.runtime.getURL(`fixtures/schedules/${scenario.file}`));
+}
+
+// Export the module
+const DevScenario = {
+  DEV_SCENARIOS,
+  getActiveScenario,
+  setClock,
+  startScenario,
+  stopScenario,
+  fetchScenario
+};
+
+// Make DevScenario available in different contexts
+if (typeof window !== 'undefined') {
+  window.DevScenario = DevScenario;
+} else if (typeof self !== 'undefined') {
+  self.DevScenario = DevScenario;
+}
@@ -0,0 +1,171 @@
+/**
+ * Splatoon 3 Rotation Tracker - Diagnostics
+ * Keeps a persistent record of what went wrong or looked new during data fetches: stage names that
+ * needed normalizing, API responses that failed validation, and the outcome and timings of each fetch.
+ * The Diagnostics page shows it alongside the alarm state and can copy it as a bug report.
+ */
+
+// Ensure utils are available
+if (typeof Utils === 'undefined') {
+  try {
+    importScripts('utils.js');
+  } catch (e) {
+    // In popup context, this will be loaded by the page
+    console.log('Utils will be loaded by the page');
+  }
+}
+
+// Kept in chrome.storage.local under "diagnostics"
+const DIAGNOSTICS_KEY = 'diagnostics';
+
+// How many fetches and validation failures are kept
+const MAX_FETCH_LOG = 20;
+const MAX_VALIDATION_FAILURES = 20;
+
+// Events noted during the current fetch, written out together by recordFetch()
+let pendingStageNames = new Map();
+let pendingValidationFailures = [];
+
+/**
+ * Note a stage name that wasn't in the mapping (reported through Utils.withStageIdReporter)
+ * @param {string} stageName Stage name from the API
+ * @param {string} stageId ID it was resolved to
+ * @param {string} method 'variation' or 'normalized'
+ */
+function noteStageId(stageName, stageId, method) {
+  pendingStageNames.set(stageName, { stageId, method });
+}
+
+/**
+ * Note the schedule's stage names that aren't in the mapping
+ * Only stages from the API are looked up here, so the table tracks API changes and nothing else
+ * @param {Object} rotationData Processed rotation data
+ */
+function noteStageNames(rotationData) {
+  const stages = [];
+  Utils.TRACKED_MODES.forEach(mode => {
+    Utils.getModeRotations(rotationData, mode.key).forEach(rotation => {
+      stages.push(rotation.stage, ...(rotation.stages || []));
+    });
+  });
+
+  // Splatfest battles and the Tricolor stages aren't part of any tracked mode
+  const fest = rotationData?.fest;
+  [fest?.current, ...(fest?.upcoming || [])].forEach(rotation => {
+    stages.push(...(rotation?.open?.stages || []), ...(rotation?.pro?.stages || []));
+  });
+  stages.push(...(rotationData?.splatfest?.tricolorStages || []));
+
+  Utils.withStageIdReporter(noteStageId, () => {
+    stages.filter(stage => stage?.name).forEach(stage => Utils.getStageId(stage.name));
+  });
+}
+
+/**
+ * Note an API response that failed validation
+ * @param {string} path Key path of the offending value, e.g. "data.xSchedules.nodes"
+ * @param {string} problem What was wrong with it
+ */
+function noteValidationFailure(path, problem) {
+  pendingValidationFailures.push({ time: new Date().toISOString(), path, problem });
+}
+
+/**
+ * Load the stored diagnostics
+ * @returns {Promise<Object>} stageNames (by name), validationFailures and fetches, newest last
+ */
+async function loadDiagnostics() {
+  const data = await chrome.storage.local.get([DIAGNOSTICS_KEY]);
+  return {
+    stageNames: {},
+    validationFailures: [],
+    fetches: [],
+    ...data[DIAGNOSTICS_KEY]
+  };
+}
+
+/**
+ * Store the outcome of a fetch together with everything noted while it ran
+ * @param {Object} fetchResult status ('ok' or 'error'), startedAt, durationMs, and where known
+ *   httpStatus, networkMs and error
+ * @returns {Promise<Object>} Updated diagnostics
+ */
+async function recordFetch(fetchResult) {
+  const diagnostics = await loadDiagnostics();
+  const now = new Date().toISOString();
+
+  pendingStageNames.forEach(({ stageId, method }, name) => {
+    const entry = diagnostics.stageNames[name] || { name, firstSeen: now, count: 0 };
+    diagnostics.stageNames[name] = { ...entry, stageId, method, lastSeen: now, count: entry.count + 1 };
+  });
+  diagnostics.validationFailures = [...diagnostics.validationFailures, ...pendingValidationFailures]
+    .slice(-MAX_VALIDATION_FAILURES);
+  diagnostics.fetches = [...diagnostics.fetches, fetchResult].slice(-MAX_FETCH_LOG);
+
+  pendingStageNames = new Map();
+  pendingValidationFailures = [];
+
+  await chrome.storage.local.set({ [DIAGNOSTICS_KEY]: diagnostics });
+  return diagnostics;
+}
+
+/**
+ * Forget everything recorded so far
+ */
+async function clearDiagnostics() {
+  await chrome.storage.local.remove(DIAGNOSTICS_KEY);
+}
+
+/**
+ * Gather everything useful for a bug report
+ * @returns {Promise<Object>} Report with the extension version, browser, cache state, alarms and diagnostics
+ */
+async function buildBugReport() {
+  const [diagnostics, local, sync, alarms] = await Promise.all([
+    loadDiagnostics(),
+    chrome.storage.local.get(['lastUpdated', 'isOffline', 'unresolvedStages', 'localeCache', 'devScenario', 'devClock']),
+    chrome.storage.sync.get(['language', 'timeDisplay', 'badge']),
+    chrome.alarms.getAll()
+  ]);
+
+  return {
+    generatedAt: new Date().toISOString(),
+    version: chrome.runtime.getManifest().version,
+    userAgent: typeof navigator !== 'undefined' ? navigator.userAgent : null,
+    uiLanguage: chrome.i18n.getUILanguage(),
+    settings: sync,
+    cache: {
+      lastUpdated: local.lastUpdated || null,
+      isOffline: local.isOffline || false,
+      localeLanguage: local.localeCache?.language || null,
+      devScenario: local.devScenario || null,
+      clockOffsetMs: local.devClock?.offset || 0
+    },
+    alarms: alarms.map(alarm => ({
+      name: alarm.name,
+      scheduledTime: new Date(alarm.scheduledTime).toISOString(),
+      periodInMinutes: alarm.periodInMinutes || null
+    })),
+    unresolvedStages: local.unresolvedStages || [],
+    ...diagnostics
+  };
+}
+
+// Export the module
+const Diagnostics = {
+  DIAGNOSTICS_KEY,
+  noteStageId,
+  noteStageNames,
+  noteValidationFailure,
+  loadDiagnostics,
+  recordFetch,
+  clearDiagnostics,
+  buildBugReport
+};
+
+// Make Diagnostics available in different contexts
+if (typeof window !== 'undefined') {
+  window.Diagnostics = Diagnostics;
+} else if (typeof self !== 'undefined') {
+  self.Diagnostics = Diagnostics;
+}
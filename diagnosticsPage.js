@@ -0,0 +1,298 @@
+/**
+ * Splatoon 3 Rotation Tracker - Diagnostics Page
+ * Shows the recorded fetch outcomes, validation failures, unmapped stage names and alarm state,
+ * and copies them as a bug-report bundle. Opened as diagnostics.html#developer it also switches
+ * developer scenarios and the clock.
+ */
+
+document.addEventListener('DOMContentLoaded', function() {
+  const elements = {
+    copyBtn: document.getElementById('diag-copy-btn'),
+    clearBtn: document.getElementById('diag-clear-btn'),
+    status: document.getElementById('diag-status'),
+    lastFetch: document.getElementById('diag-last-fetch'),
+    alarms: document.getElementById('diag-alarms'),
+    fetches: document.getElementById('diag-fetches'),
+    validation: document.getElementById('diag-validation'),
+    stageNames: document.getElementById('diag-stage-names'),
+    unresolved: document.getElementById('diag-unresolved'),
+    summary: document.getElementById('diag-summary'),
+    developer: document.getElementById('diag-developer'),
+    scenarioSelect: document.getElementById('diag-scenario'),
+    clockInput: document.getElementById('diag-clock'),
+    scenarioApply: document.getElementById('diag-scenario-apply'),
+    scenarioReset: document.getElementById('diag-scenario-reset'),
+    scenarioState: document.getElementById('diag-scenario-state')
+  };
+
+  elements.copyBtn.addEventListener('click', copyBugReport);
+  elements.clearBtn.addEventListener('click', async () => {
+    await Diagnostics.clearDiagnostics();
+    elements.status.textContent = 'Log cleared';
+  });
+
+  // Follow the background as it records new fetches
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && (changes[Diagnostics.DIAGNOSTICS_KEY] || changes.unresolvedStages || changes.lastUpdated)) {
+      render();
+    }
+  });
+
+  // Developer scenarios stay out of sight unless the page is opened as diagnostics.html#developer
+  if (location.hash === '#developer') {
+    setUpDeveloperSection();
+  }
+
+  render();
+
+  /**
+   * Load everything recorded and render every section
+   */
+  async function render() {
+    try {
+      await Utils.loadTimeSettings();
+      const [diagnostics, local, alarms] = await Promise.all([
+        Diagnostics.loadDiagnostics(),
+        chrome.storage.local.get(['lastUpdated', 'isOffline', 'unresolvedStages']),
+        chrome.alarms.getAll()
+      ]);
+
+      renderLastFetch(diagnostics.fetches[diagnostics.fetches.length - 1] || null, local);
+
+      renderTable(elements.alarms, ['Alarm', 'Next run', 'Repeats'],
+        alarms
+          .sort((a, b) => a.scheduledTime - b.scheduledTime)
+          .map(alarm => [
+            alarm.name,
+            Utils.formatTime(new Date(alarm.scheduledTime)),
+            alarm.periodInMinutes ? `every ${alarm.periodInMinutes} min` : 'once'
+          ]),
+        'No alarms scheduled');
+
+      renderTable(elements.fetches, ['Started', 'Result', 'HTTP', 'Time', 'Error'],
+        [...diagnostics.fetches].reverse().map(entry => [
+          Utils.formatTime(entry.startedAt),
+          entry.status,
+          entry.httpStatus ? String(entry.httpStatus) : '—',
+          `${entry.durationMs} ms`,
+          entry.error || ''
+        ]),
+        'No fetches recorded yet');
+
+      renderTable(elements.validation, ['Time', 'Key path', 'Problem'],
+        [...diagnostics.validationFailures].reverse().map(failure => [
+          Utils.formatTime(failure.time),
+          failure.path,
+          failure.problem
+        ]),
+        'No validation failures');
+
+      renderTable(elements.stageNames, ['Name', 'Stage ID', 'Matched by', 'Local art', 'Fetches', 'Last seen'],
+        Object.values(diagnostics.stageNames)
+          .sort((a, b) => (b.lastSeen > a.lastSeen ? 1 : -1))
+          .map(entry => [
+            entry.name,
+            entry.stageId,
+            entry.method === 'variation' ? 'name variation' : 'auto-normalized',
+            hasLocalArt(entry.name) ? 'yes' : 'no',
+            String(entry.count),
+            Utils.formatTime(entry.lastSeen)
+          ]),
+        'Every stage name is in the mapping');
+
+      renderTable(elements.unresolved, ['Stage ID', 'Name', 'Modes', 'Showing', 'First seen'],
+        (local.unresolvedStages || []).map(stage => [
+          stage.stageId,
+          stage.name || '—',
+          stage.modes.join(', '),
+          stage.fallback === 'remote' ? 'API image' : 'placeholder',
+          Utils.formatTime(stage.firstSeen)
+        ]),
+        'Every scheduled stage has local art');
+
+      if (!elements.developer.hidden) {
+        await renderScenarioState();
+      }
+
+      const count = diagnostics.fetches.length;
+      elements.summary.textContent = `${count} fetch${count === 1 ? '' : 'es'} recorded · extension ${chrome.runtime.getManifest().version}`;
+    } catch (error) {
+      console.error('Failed to load diagnostics:', error);
+      elements.summary.textContent = 'Failed to load diagnostics';
+    }
+  }
+
+  /**
+   * Check whether a stage name resolves to a bundled image in any mode
+   * @param {string} name Stage name
+   * @returns {boolean} Whether local art exists
+   */
+  function hasLocalArt(name) {
+    return ['regular', 'salmon'].some(mode => StageImages.resolveStageImage(name, mode).source === 'local');
+  }
+
+  /**
+   * Render the latest fetch and the cache state as label/value rows
+   * @param {Object|null} lastFetch Newest fetch entry
+   * @param {Object} local lastUpdated and isOffline from storage
+   */
+  function renderLastFetch(lastFetch, local) {
+    const rows = [
+      ['Data refreshed', local.lastUpdated ? Utils.formatTime(local.lastUpdated) : 'never'],
+      ['Showing cached data', local.isOffline ? 'yes (last fetch failed)' : 'no']
+    ];
+    if (lastFetch) {
+      rows.push(
+        ['Result', lastFetch.status],
+        ['Started', Utils.formatTime(lastFetch.startedAt)],
+        ['HTTP status', lastFetch.httpStatus ? String(lastFetch.httpStatus) : '—'],
+        ['Download', lastFetch.networkMs !== undefined ? `${lastFetch.networkMs} ms` : '—'],
+        ['Total', `${lastFetch.durationMs} ms`]
+      );
+      if (lastFetch.scenario) rows.push(['Developer scenario', lastFetch.scenario]);
+      if (lastFetch.error) rows.push(['Error', lastFetch.error]);
+    }
+    renderTable(elements.lastFetch, ['', ''], rows, '');
+  }
+
+  /**
+   * Render a table, or a message when there are no rows
+   * @param {HTMLElement} container Element to render into
+   * @param {Array<string>} headings Column headings
+   * @param {Array<Array<string>>} rows Cell text
+   * @param {string} emptyText Message shown without rows
+   */
+  function renderTable(container, headings, rows, emptyText) {
+    container.textContent = '';
+
+    if (rows.length === 0) {
+      const empty = document.createElement('div');
+      empty.className = 'no-data';
+      empty.textContent = emptyText;
+      container.appendChild(empty);
+      return;
+    }
+
+    const table = document.createElement('table');
+    table.className = 'stats-table';
+
+    if (headings.some(Boolean)) {
+      const headRow = document.createElement('tr');
+      headings.forEach(text => {
+        const th = document.createElement('th');
+        th.textContent = text;
+        headRow.appendChild(th);
+      });
+      const thead = document.createElement('thead');
+      thead.appendChild(headRow);
+      table.appendChild(thead);
+    }
+
+    const tbody = document.createElement('tbody');
+    rows.forEach(row => {
+      const tr = document.createElement('tr');
+      row.forEach(text => {
+        const td = document.createElement('td');
+        td.textContent = text;
+        tr.appendChild(td);
+      });
+      tbody.appendChild(tr);
+    });
+    table.appendChild(tbody);
+
+    container.appendChild(table);
+  }
+
+  /**
+   * Show the developer section and fill in the scenario picker
+   */
+  function setUpDeveloperSection() {
+    elements.developer.hidden = false;
+
+    Object.entries(DevScenario.DEV_SCENARIOS).forEach(([id, scenario]) => {
+      elements.scenarioSelect.appendChild(new Option(scenario.label, id));
+    });
+
+    // Picking a scenario suggests its own moment; an outage keeps whatever the clock shows
+    elements.scenarioSelect.addEventListener('change', () => {
+      const scenario = DevScenario.DEV_SCENARIOS[elements.scenarioSelect.value];
+      if (scenario?.clock) elements.clockInput.value = toClockInputValue(new Date(scenario.clock).getTime());
+    });
+
+    elements.scenarioApply.addEventListener('click', applyScenario);
+    elements.scenarioReset.addEventListener('click', async () => {
+      await DevScenario.stopScenario();
+      await refreshRotations('Back on the live API and the real clock');
+    });
+  }
+
+  /**
+   * Show which data and clock the extension is running on
+   */
+  async function renderScenarioState() {
+    const [scenario] = await Promise.all([DevScenario.getActiveScenario(), Utils.loadClock()]);
+    const shifted = Utils.getClockOffset() !== 0;
+
+    elements.scenarioSelect.value = scenario?.id || '';
+    elements.clockInput.value = shifted ? toClockInputValue(Utils.now()) : '';
+    elements.scenarioState.textContent = [
+      scenario ? `Serving "${scenario.label}"` : 'Serving the live API',
+      shifted ? `clock at ${new Date(Utils.now()).toLocaleString()}` : 'real clock'
+    ].join(' · ');
+  }
+
+  /**
+   * Start the picked scenario (or live data) on the entered clock, an empty clock being real time
+   */
+  async function applyScenario() {
+    const id = elements.scenarioSelect.value;
+    const clock = elements.clockInput.value ? new Date(elements.clockInput.value) : null;
+
+    try {
+      if (id) {
+        await DevScenario.startScenario(id, clock);
+      } else {
+        await DevScenario.stopScenario();
+        await DevScenario.setClock(clock);
+      }
+      await refreshRotations(id ? `Scenario "${DevScenario.DEV_SCENARIOS[id].label}" applied` : 'Live API applied');
+    } catch (error) {
+      console.error('Failed to apply scenario:', error);
+      elements.status.textContent = error.message;
+    }
+  }
+
+  /**
+   * Ask the background to fetch again, so the new data source and clock take effect
+   * @param {string} message Status shown once the fetch is done
+   */
+  async function refreshRotations(message) {
+    const response = await chrome.runtime.sendMessage({ action: 'fetchRotations' });
+    elements.status.textContent = response?.success ? message : `${message}, but the fetch failed`;
+    render();
+  }
+
+  /**
+   * Format a time for a datetime-local input, which takes local time without a zone
+   * @param {number} time Milliseconds since the epoch
+   * @returns {string} e.g. "2025-06-15T12:40"
+   */
+  function toClockInputValue(time) {
+    const local = new Date(time - new Date(time).getTimezoneOffset() * 60 * 1000);
+    return local.toISOString().slice(0, 16);
+  }
+
+  /**
+   * Copy the bug-report bundle to the clipboard as JSON
+   */
+  async function copyBugReport() {
+    try {
+      const report = await Diagnostics.buildBugReport();
+      await navigator.clipboard.writeText(JSON.stringify(report, null, 2));
+      elements.status.textContent = 'Bug report copied to the clipboard';
+    } catch (error) {
+      console.error('Failed to copy bug report:', error);
+      elements.status.textContent = 'Could not copy the bug report';
+    }
+  }
+});
@@ -0,0 +1,221 @@
+/**
+ * Splatoon 3 Rotation Tracker - Rotation History
+ * Keeps every rotation the extension has seen in IndexedDB and builds frequency stats from it.
+ */
+
+// Ensure utils are available
+if (typeof Utils === 'undefined') {
+  try {
+    importScripts('utils.js');
+  } catch (e) {
+    // In popup context, this will be loaded by the page
+    console.log('Utils will be loaded by the page');
+  }
+}
+
+const HISTORY_DB_NAME = 'splatoonRotationHistory';
+const HISTORY_DB_VERSION = 1;
+const HISTORY_STORE = 'rotations';
+
+// Rotations older than this are dropped; the longest stats window is 90 days
+const HISTORY_RETENTION_DAYS = 90;
+
+// Windows offered in the Stats view (days)
+const STATS_WINDOWS = [7, 30, 90];
+
+/**
+ * Open (and create or upgrade) the history database
+ * @returns {Promise<IDBDatabase>} Open database
+ */
+function openHistoryDatabase() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(HISTORY_DB_NAME, HISTORY_DB_VERSION);
+
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(HISTORY_STORE)) {
+        // Keyed by "<modeKey>|<startTime>", so the same rotation is only stored once
+        const store = db.createObjectStore(HISTORY_STORE, { keyPath: 'id' });
+        store.createIndex('startTime', 'startTime');
+        store.createIndex('mode', 'mode');
+      }
+    };
+
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Wait for a transaction to finish
+ * @param {IDBTransaction} transaction Transaction
+ * @returns {Promise<void>} Resolves on complete
+ */
+function waitForTransaction(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+/**
+ * Reduce a rotation to the fields kept in history
+ * @param {Object} mode Entry from Utils.TRACKED_MODES
+ * @param {Object} rotation Rotation data
+ * @returns {Object} History record
+ */
+function toHistoryRecord(mode, rotation) {
+  const record = {
+    id: `${mode.key}|${rotation.startTime}`,
+    mode: mode.key,
+    startTime: rotation.startTime,
+    endTime: rotation.endTime
+  };
+
+  if (mode.coop) {
+    record.stage = rotation.stage?.name || 'Unknown Stage';
+    record.weapons = (rotation.weapons || []).map(w => w.name);
+    record.boss = rotation.boss || null;
+    record.isBigRun = rotation.isBigRun || false;
+  } else {
+    record.rule = rotation.rule?.name || 'Unknown Mode';
+    record.stages = (rotation.stages || []).map(stage => stage.name);
+  }
+
+  return record;
+}
+
+/**
+ * Store every current and upcoming rotation of every tracked mode, then drop expired ones
+ * @param {Object} rotationData Processed rotation data
+ * @returns {Promise<number>} Number of rotations written
+ */
+async function recordRotations(rotationData) {
+  const records = [];
+  for (const mode of Utils.TRACKED_MODES) {
+    for (const rotation of Utils.getModeRotations(rotationData, mode.key)) {
+      records.push(toHistoryRecord(mode, rotation));
+    }
+  }
+
+  const db = await openHistoryDatabase();
+  try {
+    const transaction = db.transaction(HISTORY_STORE, 'readwrite');
+    const store = transaction.objectStore(HISTORY_STORE);
+
+    // Later fetches may correct a rotation (e.g. stage names), so the newest copy wins
+    records.forEach(record => store.put(record));
+
+    const cutoff = new Date(Utils.now() - HISTORY_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+    store.index('startTime').openCursor(IDBKeyRange.upperBound(cutoff, true)).onsuccess = (event) => {
+      const cursor = event.target.result;
+      if (cursor) {
+        cursor.delete();
+        cursor.continue();
+      }
+    };
+
+    await waitForTransaction(transaction);
+  } finally {
+    db.close();
+  }
+
+  return records.length;
+}
+
+/**
+ * Load the rotations that started within a time window
+ * @param {number} days Window length in days
+ * @returns {Promise<Array>} History records, oldest first
+ */
+async function loadHistory(days) {
+  const now = Utils.now();
+  const since = new Date(now - days * 24 * 60 * 60 * 1000).toISOString();
+  const until = new Date(now).toISOString();
+
+  const db = await openHistoryDatabase();
+  try {
+    return await new Promise((resolve, reject) => {
+      const request = db.transaction(HISTORY_STORE, 'readonly')
+        .objectStore(HISTORY_STORE)
+        .index('startTime')
+        .getAll(IDBKeyRange.bound(since, until));
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  } finally {
+    db.close();
+  }
+}
+
+/**
+ * Add one occurrence to a frequency table
+ * @param {Map} table Map of key to { ...fields, count, lastSeen }
+ * @param {string} key Entry key
+ * @param {Object} fields Fields describing the entry
+ * @param {string} startTime Rotation start time
+ */
+function countOccurrence(table, key, fields, startTime) {
+  const entry = table.get(key) || { ...fields, count: 0, lastSeen: null };
+  entry.count += 1;
+  if (!entry.lastSeen || startTime > entry.lastSeen) entry.lastSeen = startTime;
+  table.set(key, entry);
+}
+
+/**
+ * Sort a frequency table, most frequent first
+ * @param {Map} table Frequency table
+ * @returns {Array} Entries
+ */
+function sortByCount(table) {
+  return [...table.values()].sort((a, b) => b.count - a.count || (b.lastSeen > a.lastSeen ? 1 : -1));
+}
+
+/**
+ * Count how often each stage/rule pair, Salmon Run stage and weapon came up
+ * @param {Array} records History records
+ * @param {string} [modeKey] Only count this tracked mode (battle pairs only)
+ * @returns {Object} pairs, salmonStages and weapons, each sorted by count
+ */
+function computeStats(records, modeKey) {
+  const pairs = new Map();
+  const salmonStages = new Map();
+  const weapons = new Map();
+
+  for (const record of records) {
+    if (record.stage !== undefined) {
+      countOccurrence(salmonStages, record.stage, { name: record.stage }, record.startTime);
+      for (const weapon of record.weapons || []) {
+        countOccurrence(weapons, weapon, { name: weapon }, record.startTime);
+      }
+      continue;
+    }
+
+    if (modeKey && record.mode !== modeKey) continue;
+    for (const stage of record.stages || []) {
+      countOccurrence(pairs, `${record.rule}|${stage}`, { rule: record.rule, stage: stage }, record.startTime);
+    }
+  }
+
+  return {
+    pairs: sortByCount(pairs),
+    salmonStages: sortByCount(salmonStages),
+    weapons: sortByCount(weapons)
+  };
+}
+
+// Export the module (not "History", which is a built-in DOM interface)
+const RotationHistory = {
+  STATS_WINDOWS,
+  recordRotations,
+  loadHistory,
+  computeStats
+};
+
+// Make RotationHistory available in different contexts
+if (typeof window !== 'undefined') {
+  window.RotationHistory = RotationHistory;
+} else if (typeof self !== 'undefined') {
+  self.RotationHistory = RotationHistory;
+}
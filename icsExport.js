@@ -0,0 +1,198 @@
+/**
+ * Splatoon 3 Rotation Tracker - iCalendar Export
+ * Turns the processed rotation data into an RFC 5545 .ics file with one VEVENT per rotation.
+ */
+
+// Ensure utils are available
+if (typeof Utils === 'undefined') {
+  try {
+    importScripts('utils.js');
+  } catch (e) {
+    // In popup context, this will be loaded by popup.html
+    console.log('Utils will be loaded by popup.html');
+  }
+}
+
+// Product identifier written to every exported calendar
+const ICS_PRODID = '-//Splatoon 3 Rotation Tracker//Rotation Export//EN';
+
+// Domain part of event UIDs, so re-importing an export updates events instead of duplicating them
+const ICS_UID_DOMAIN = 'splatoon3-rotation-tracker';
+
+/**
+ * Format a date as an iCalendar UTC date-time (e.g. 20240101T120000Z)
+ * @param {Date|string} date Date to format
+ * @returns {string} iCalendar date-time
+ */
+function formatIcsDate(date) {
+  const dateObj = typeof date === 'string' ? new Date(date) : date;
+  return dateObj.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Escape a TEXT value (backslash, semicolon, comma and newlines)
+ * @param {string} text Raw text
+ * @returns {string} Escaped text
+ */
+function escapeIcsText(text) {
+  return String(text)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold a content line so no line is longer than 75 octets
+ * @param {string} line Unfolded content line
+ * @returns {string} Folded line, continuation lines starting with a space
+ */
+function foldIcsLine(line) {
+  const encoder = new TextEncoder();
+  const parts = [];
+  let current = '';
+  let currentBytes = 0;
+
+  for (const char of line) {
+    const charBytes = encoder.encode(char).length;
+    // Continuation lines lose one octet to the leading space
+    const limit = parts.length === 0 ? 75 : 74;
+    if (currentBytes + charBytes > limit) {
+      parts.push(current);
+      current = '';
+      currentBytes = 0;
+    }
+    current += char;
+    currentBytes += charBytes;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+}
+
+/**
+ * Build the summary, location and description of a rotation
+ * @param {Object} mode Entry from Utils.TRACKED_MODES
+ * @param {Object} rotation Rotation data
+ * @returns {Object} summary, location and description text
+ */
+function describeIcsRotation(mode, rotation) {
+  if (mode.coop) {
+    const stageName = rotation.stage?.name || 'Unknown Stage';
+    const label = rotation.isBigRun ? 'Big Run' : mode.label;
+    const lines = [
+      `Stage: ${stageName}`,
+      `Weapons: ${rotation.weapons?.map(w => w.name).join(', ') || 'N/A'}`
+    ];
+    if (rotation.boss) lines.push(`King Salmonid: ${rotation.boss}`);
+
+    return { summary: `${label}: ${stageName}`, location: stageName, description: lines.join('\n') };
+  }
+
+  const ruleName = rotation.rule?.name || 'Unknown Mode';
+  const stageNames = (rotation.stages || []).map(stage => stage.name).join(' / ');
+  const lines = [`Mode: ${ruleName}`, `Stages: ${stageNames || 'N/A'}`];
+  if (rotation.eventName) lines.unshift(rotation.eventName);
+
+  return {
+    summary: `${mode.label}: ${rotation.eventName || ruleName}`,
+    location: stageNames,
+    description: lines.join('\n')
+  };
+}
+
+/**
+ * Build the VEVENT lines for one rotation
+ * @param {Object} mode Entry from Utils.TRACKED_MODES
+ * @param {Object} rotation Rotation data
+ * @param {string} stamp DTSTAMP value
+ * @returns {Array<string>} Unfolded content lines
+ */
+function buildIcsEvent(mode, rotation, stamp) {
+  const { summary, location, description } = describeIcsRotation(mode, rotation);
+
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${mode.key}-${formatIcsDate(rotation.startTime)}@${ICS_UID_DOMAIN}`,
+    `DTSTAMP:${stamp}`,
+    `DTSTART:${formatIcsDate(rotation.startTime)}`,
+    `DTEND:${formatIcsDate(rotation.endTime)}`,
+    `SUMMARY:${escapeIcsText(summary)}`
+  ];
+  if (location) lines.push(`LOCATION:${escapeIcsText(location)}`);
+  lines.push(`DESCRIPTION:${escapeIcsText(description)}`);
+  lines.push(`CATEGORIES:${escapeIcsText(mode.label)}`);
+  lines.push('TRANSP:TRANSPARENT');
+  lines.push('END:VEVENT');
+
+  return lines;
+}
+
+/**
+ * Pick the rotations to export
+ * @param {Object} rotationData Processed rotation data
+ * @param {Object} options Filters
+ * @param {Array<string>} [options.modes] Tracked mode keys to include (default: all)
+ * @param {Array} [options.watchRules] When given, only rotations matching one of these watch rules
+ * @returns {Array} Entries of { mode, rotation }, in start order
+ */
+function selectIcsRotations(rotationData, options = {}) {
+  const modeKeys = options.modes || Utils.TRACKED_MODES.map(m => m.key);
+  const entries = [];
+
+  for (const mode of Utils.TRACKED_MODES) {
+    if (!modeKeys.includes(mode.key)) continue;
+
+    for (const rotation of Utils.getModeRotations(rotationData, mode.key)) {
+      if (options.watchRules && !Watchlist.isWatched(options.watchRules, mode.key, rotation)) continue;
+      entries.push({ mode, rotation });
+    }
+  }
+
+  return entries.sort((a, b) => new Date(a.rotation.startTime) - new Date(b.rotation.startTime));
+}
+
+/**
+ * Build a complete .ics calendar
+ * @param {Object} rotationData Processed rotation data
+ * @param {Object} options Filters, see selectIcsRotations
+ * @returns {Object} The calendar text and the number of events in it
+ */
+function buildCalendar(rotationData, options = {}) {
+  const stamp = formatIcsDate(new Date());
+  const entries = selectIcsRotations(rotationData, options);
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${ICS_PRODID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    'X-WR-CALNAME:Splatoon 3 Rotations'
+  ];
+  for (const { mode, rotation } of entries) {
+    lines.push(...buildIcsEvent(mode, rotation, stamp));
+  }
+  lines.push('END:VCALENDAR');
+
+  return {
+    text: lines.map(foldIcsLine).join('\r\n') + '\r\n',
+    eventCount: entries.length
+  };
+}
+
+// Export the module
+const IcsExport = {
+  formatIcsDate,
+  escapeIcsText,
+  foldIcsLine,
+  selectIcsRotations,
+  buildCalendar
+};
+
+// Make IcsExport available in different contexts
+if (typeof window !== 'undefined') {
+  window.IcsExport = IcsExport;
+} else if (typeof self !== 'undefined') {
+  self.IcsExport = IcsExport;
+}
@@ -0,0 +1,240 @@
+/**
+ * Splatoon 3 Rotation Tracker - Image Thumbnails
+ * Downloads each remote stage, weapon and King Salmonid image once and keeps a downscaled copy in IndexedDB.
+ * Pages load the thumbnails as object URLs, so cards draw without waiting on splatoon3.ink and still work offline.
+ */
+
+// Ensure utils are available
+if (typeof Utils === 'undefined') {
+  try {
+    importScripts('utils.js');
+  } catch (e) {
+    // In popup context, this will be loaded by the page
+    console.log('Utils will be loaded by the page');
+  }
+}
+
+const IMAGE_DB_NAME = 'splatoonImageCache';
+const IMAGE_DB_VERSION = 1;
+const IMAGE_STORE = 'thumbnails';
+
+// Thumbnail widths (px), about twice the size the cards draw them at
+const THUMBNAIL_WIDTHS = { stage: 320, weapon: 64, boss: 64 };
+
+// Thumbnails no longer in the schedule are dropped after this many days
+const THUMBNAIL_RETENTION_DAYS = 30;
+
+/**
+ * Open (and create or upgrade) the thumbnail database
+ * @returns {Promise<IDBDatabase>} Open database
+ */
+function openImageDatabase() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(IMAGE_DB_NAME, IMAGE_DB_VERSION);
+
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(IMAGE_STORE)) {
+        // Keyed by the remote URL, so every distinct image is only downloaded once
+        const store = db.createObjectStore(IMAGE_STORE, { keyPath: 'url' });
+        store.createIndex('lastUsed', 'lastUsed');
+      }
+    };
+
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Wait for a transaction to finish
+ * @param {IDBTransaction} transaction Transaction
+ * @returns {Promise<void>} Resolves on complete
+ */
+function waitForImageTransaction(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+/**
+ * Turn an IndexedDB request into a promise
+ * @param {IDBRequest} request Request
+ * @returns {Promise<*>} Request result
+ */
+function requestResult(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * List the remote images the cards can show
+ * @param {Object|null} rotationData Processed rotation data
+ * @returns {Map<string, string>} Remote URL to kind ('stage', 'weapon' or 'boss')
+ */
+function collectImageUrls(rotationData) {
+  const images = new Map();
+  const addStage = stage => {
+    if (stage?.image) images.set(stage.image, 'stage');
+  };
+
+  Utils.TRACKED_MODES.forEach(mode => {
+    Utils.getModeRotations(rotationData, mode.key).forEach(rotation => {
+      addStage(rotation.stage);
+      (rotation.stages || []).forEach(addStage);
+      (rotation.weapons || []).forEach(weapon => {
+        if (weapon?.image) images.set(weapon.image, 'weapon');
+      });
+      if (rotation.bossImage) images.set(rotation.bossImage, 'boss');
+    });
+  });
+
+  // Splatfest Pro/Open stages aren't part of any tracked mode
+  const fest = rotationData?.fest;
+  [fest?.current, ...(fest?.upcoming || [])].forEach(rotation => {
+    ['open', 'pro'].forEach(key => (rotation?.[key]?.stages || []).forEach(addStage));
+  });
+
+  return images;
+}
+
+/**
+ * Scale an image down to a thumbnail
+ * Without OffscreenCanvas the original image is kept, which still works offline
+ * @param {Blob} blob Downloaded image
+ * @param {number} maxWidth Widest the thumbnail may be
+ * @returns {Promise<Blob>} Thumbnail image
+ */
+async function createThumbnail(blob, maxWidth) {
+  if (typeof OffscreenCanvas === 'undefined' || typeof createImageBitmap !== 'function') return blob;
+
+  const bitmap = await createImageBitmap(blob);
+  try {
+    if (bitmap.width <= maxWidth) return blob;
+
+    const scale = maxWidth / bitmap.width;
+    const canvas = new OffscreenCanvas(maxWidth, Math.max(1, Math.round(bitmap.height * scale)));
+    const ctx = canvas.getContext('2d');
+    ctx.imageSmoothingQuality = 'high';
+    ctx.drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+    return await canvas.convertToBlob({ type: 'image/webp', quality: 0.85 });
+  } finally {
+    bitmap.close();
+  }
+}
+
+/**
+ * Download and store a thumbnail for every image in the schedule that isn't cached yet,
+ * then drop thumbnails the schedule hasn't used for a while
+ * @param {Object} rotationData Processed rotation data
+ * @returns {Promise<number>} Number of thumbnails added
+ */
+async function cacheRotationImages(rotationData) {
+  const images = collectImageUrls(rotationData);
+  const now = new Date().toISOString();
+
+  const db = await openImageDatabase();
+  try {
+    const cachedUrls = new Set(await requestResult(
+      db.transaction(IMAGE_STORE, 'readonly').objectStore(IMAGE_STORE).getAllKeys()
+    ));
+
+    // One at a time, so a refresh doesn't open a burst of connections
+    let added = 0;
+    for (const [url, kind] of images) {
+      if (cachedUrls.has(url)) continue;
+      try {
+        const response = await fetch(url);
+        if (!response.ok) throw new Error(`Image error: ${response.status}`);
+        const thumbnail = await createThumbnail(await response.blob(), THUMBNAIL_WIDTHS[kind]);
+
+        const transaction = db.transaction(IMAGE_STORE, 'readwrite');
+        transaction.objectStore(IMAGE_STORE).put({ url, kind, blob: thumbnail, lastUsed: now });
+        await waitForImageTransaction(transaction);
+        added++;
+      } catch (error) {
+        // The cards fall back to the remote URL for this one; the next refresh tries again
+        console.warn(`Failed to cache image ${url}:`, error);
+      }
+    }
+
+    const transaction = db.transaction(IMAGE_STORE, 'readwrite');
+    const store = transaction.objectStore(IMAGE_STORE);
+
+    // Mark what's still scheduled as used, so only images that dropped out of the schedule expire
+    store.openCursor().onsuccess = (event) => {
+      const cursor = event.target.result;
+      if (!cursor) return;
+      if (images.has(cursor.value.url) && cursor.value.lastUsed !== now) {
+        cursor.update({ ...cursor.value, lastUsed: now });
+      }
+      cursor.continue();
+    };
+
+    const cutoff = new Date(Date.now() - THUMBNAIL_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+    store.index('lastUsed').openCursor(IDBKeyRange.upperBound(cutoff, true)).onsuccess = (event) => {
+      const cursor = event.target.result;
+      if (cursor) {
+        if (!images.has(cursor.value.url)) cursor.delete();
+        cursor.continue();
+      }
+    };
+
+    await waitForImageTransaction(transaction);
+    return added;
+  } finally {
+    db.close();
+  }
+}
+
+/**
+ * Load the cached thumbnails for the images in the schedule
+ * @param {Object|null} rotationData Processed rotation data
+ * @returns {Promise<Map<string, string>>} Remote URL to object URL; release with releaseThumbnails()
+ */
+async function loadThumbnails(rotationData) {
+  const thumbnails = new Map();
+  const urls = [...collectImageUrls(rotationData).keys()];
+  if (urls.length === 0) return thumbnails;
+
+  const db = await openImageDatabase();
+  try {
+    const store = db.transaction(IMAGE_STORE, 'readonly').objectStore(IMAGE_STORE);
+    const records = await Promise.all(urls.map(url => requestResult(store.get(url))));
+    records.forEach(record => {
+      if (record?.blob) thumbnails.set(record.url, URL.createObjectURL(record.blob));
+    });
+  } finally {
+    db.close();
+  }
+
+  return thumbnails;
+}
+
+/**
+ * Free the object URLs made by loadThumbnails()
+ * @param {Map<string, string>|null} thumbnails Thumbnails no longer shown
+ */
+function releaseThumbnails(thumbnails) {
+  (thumbnails || new Map()).forEach(objectUrl => URL.revokeObjectURL(objectUrl));
+}
+
+// Export the module
+const ImageCache = {
+  THUMBNAIL_WIDTHS,
+  collectImageUrls,
+  cacheRotationImages,
+  loadThumbnails,
+  releaseThumbnails
+};
+
+// Make ImageCache available in different contexts
+if (typeof window !== 'undefined') {
+  window.ImageCache = ImageCache;
+} else if (typeof self !== 'undefined') {
+  self.ImageCache = ImageCache;
+}
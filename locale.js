@@ -0,0 +1,238 @@
+/**
+ * Splatoon 3 Rotation Tracker - Localized Game Names
+ * Loads the splatoon3.ink locale files and translates stage, rule, weapon, boss, event and
+ * Splatfest names by their stable IDs. Rotation data keeps the English names, so stage image
+ * lookup and watch rules are unaffected by the display language.
+ */
+
+// Languages splatoon3.ink publishes locale files for; en-US is the schedules.json language
+const SUPPORTED_LANGUAGES = [
+  { code: 'en-US', label: 'English (US)' },
+  { code: 'en-GB', label: 'English (UK)' },
+  { code: 'de-DE', label: 'Deutsch' },
+  { code: 'es-ES', label: 'Español (ES)' },
+  { code: 'es-MX', label: 'Español (MX)' },
+  { code: 'fr-FR', label: 'Français (FR)' },
+  { code: 'fr-CA', label: 'Français (CA)' },
+  { code: 'it-IT', label: 'Italiano' },
+  { code: 'nl-NL', label: 'Nederlands' },
+  { code: 'ru-RU', label: 'Русский' },
+  { code: 'ja-JP', label: '日本語' },
+  { code: 'ko-KR', label: '한국어' },
+  { code: 'zh-CN', label: '中文 (简体)' },
+  { code: 'zh-TW', label: '中文 (繁體)' }
+];
+
+const DEFAULT_LANGUAGE = 'en-US';
+
+// Where locale files live; a local fixture directory can be passed instead for offline testing
+const LOCALE_BASE_URL = 'https://splatoon3.ink/data/locale/';
+
+// Cached locale files are refetched after a week so new stages and weapons show up
+const LOCALE_CACHE_MAX_AGE = 7 * 24 * 60 * 60 * 1000;
+
+// Translations in use: { stages, rules, weapons, bosses, events, festivals } keyed by ID
+let localeStrings = null;
+
+// Callbacks to run once a changed language setting's translations are loaded
+const changeListeners = [];
+
+// Language of the latest loadLocale() call; an older, slower load must not replace its translations
+let latestLanguage = null;
+
+/**
+ * Fetch and check a locale file
+ * @param {string} language Language code, e.g. "ja-JP"
+ * @param {Object} [options] Loader options
+ * @param {string} [options.baseUrl] Directory URL to load `<language>.json` from
+ * @returns {Promise<Object>} Locale strings
+ */
+async function fetchLocale(language, { baseUrl = LOCALE_BASE_URL } = {}) {
+  const response = await fetch(`${baseUrl}${language}.json`);
+  if (!response.ok) {
+    throw new Error(`Locale request failed with status ${response.status}`);
+  }
+
+  const strings = await response.json();
+  if (!strings || typeof strings !== 'object' || !strings.stages) {
+    throw new Error(`Locale file for ${language} is missing stage names`);
+  }
+  return strings;
+}
+
+/**
+ * Load the translations for a language, from cache when fresh
+ * English clears the translations, since the schedule data is already English
+ * @param {string} language Language code
+ * @param {Object} [options] Loader options
+ * @param {string} [options.baseUrl] Directory URL to load locale files from (skips the cache, and isn't cached)
+ * @returns {Promise<boolean>} Whether translations are active
+ */
+async function loadLocale(language, options = {}) {
+  latestLanguage = language;
+  if (!language || language === DEFAULT_LANGUAGE) {
+    localeStrings = null;
+    return false;
+  }
+
+  const { localeCache } = await chrome.storage.local.get(['localeCache']);
+  if (latestLanguage !== language) return localeStrings !== null;
+
+  const isFresh = localeCache?.language === language &&
+    Date.now() - localeCache.fetchedAt < LOCALE_CACHE_MAX_AGE;
+
+  if (isFresh && !options.baseUrl) {
+    localeStrings = localeCache.strings;
+    return true;
+  }
+
+  try {
+    const strings = await fetchLocale(language, options);
+    if (latestLanguage !== language) return localeStrings !== null;
+    localeStrings = strings;
+    // A file from another directory (e.g. the trimmed test fixture) must not replace the cached real one
+    if (!options.baseUrl) {
+      await chrome.storage.local.set({ localeCache: { language, strings, fetchedAt: Date.now() } });
+    }
+    console.log(`Loaded ${language} locale`);
+  } catch (error) {
+    // An old copy of the right language beats falling back to English
+    console.error(`Failed to load ${language} locale:`, error);
+    if (latestLanguage !== language) return localeStrings !== null;
+    localeStrings = localeCache?.language === language ? localeCache.strings : null;
+  }
+
+  return localeStrings !== null;
+}
+
+/**
+ * Load the translations for the language chosen in settings
+ * @returns {Promise<string>} The chosen language code
+ */
+async function initLocale() {
+  const { language } = await chrome.storage.sync.get(['language']);
+  const chosen = language || DEFAULT_LANGUAGE;
+  await loadLocale(chosen);
+  return chosen;
+}
+
+/**
+ * Run a callback whenever the language setting changes, after its translations are loaded
+ * Pages re-render from here instead of loading the locale again themselves
+ * @param {Function} callback Called with the new language code
+ */
+function onLocaleChange(callback) {
+  changeListeners.push(callback);
+}
+
+/**
+ * Look up a translated name
+ * @param {string} group Locale group (stages, rules, weapons, bosses)
+ * @param {string|null} id Stable ID from the API
+ * @param {string} fallback English name
+ * @returns {string} Translated name, or the English one
+ */
+function translate(group, id, fallback) {
+  return (id && localeStrings?.[group]?.[id]?.name) || fallback;
+}
+
+/**
+ * Display name of a stage (battle or Salmon Run)
+ * @param {Object} stage Stage with name and id
+ * @returns {string} Stage name
+ */
+function stageName(stage) {
+  return translate('stages', stage?.id, stage?.name || 'Unknown Stage');
+}
+
+/**
+ * Display name of a rule
+ * @param {Object} rule Rule with name and id
+ * @returns {string} Rule name
+ */
+function ruleName(rule) {
+  return translate('rules', rule?.id, rule?.name || 'Unknown Mode');
+}
+
+/**
+ * Display name of a weapon
+ * @param {Object|string} weapon Weapon with name and id (older cached data has plain names)
+ * @returns {string} Weapon name
+ */
+function weaponName(weapon) {
+  if (typeof weapon !== 'object' || weapon === null) return weapon || 'Unknown';
+  return translate('weapons', weapon.id, weapon.name || 'Unknown');
+}
+
+/**
+ * Display name of a rotation's King Salmonid
+ * @param {Object} rotation Salmon Run rotation
+ * @returns {string|null} Boss name
+ */
+function bossName(rotation) {
+  if (!rotation?.boss) return null;
+  return translate('bosses', rotation.bossId, rotation.boss);
+}
+
+/**
+ * Display name and description of a Challenge event
+ * @param {Object} rotation Challenge rotation
+ * @returns {Object} name and desc
+ */
+function eventText(rotation) {
+  const event = rotation?.eventId ? localeStrings?.events?.[rotation.eventId] : null;
+  return {
+    name: event?.name || rotation?.eventName || '',
+    desc: event?.desc || rotation?.eventDesc || ''
+  };
+}
+
+/**
+ * Display title and team names of a Splatfest
+ * @param {Object} splatfest Processed Splatfest data
+ * @returns {Object} title and teamNames
+ */
+function festText(splatfest) {
+  const fest = splatfest?.id ? localeStrings?.festivals?.[splatfest.id] : null;
+  return {
+    title: fest?.title || splatfest?.title || 'Splatfest',
+    teamNames: (splatfest?.teams || []).map((team, i) => fest?.teams?.[i]?.teamName || team.teamName)
+  };
+}
+
+// Export the module
+const Locale = {
+  SUPPORTED_LANGUAGES,
+  DEFAULT_LANGUAGE,
+  fetchLocale,
+  loadLocale,
+  initLocale,
+  onLocaleChange,
+  stageName,
+  ruleName,
+  weaponName,
+  bossName,
+  eventText,
+  festText
+};
+
+// Make Locale available in different contexts
+if (typeof window !== 'undefined') {
+  window.Locale = Locale;
+} else if (typeof self !== 'undefined') {
+  self.Locale = Locale;
+}
+
+// Switch every context (popup, pages, service worker) over when the language setting changes
+if (typeof chrome !== 'undefined' && chrome.storage?.onChanged) {
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'sync' && changes.language) {
+      const language = changes.language.newValue || DEFAULT_LANGUAGE;
+      loadLocale(language).then(() => {
+        // A newer change will notify once its own translations are in
+        if (latestLanguage !== language) return;
+        changeListeners.forEach(callback => callback(language));
+      });
+    }
+  });
+}
@@ -0,0 +1,195 @@
+/**
+ * Splatoon 3 Rotation Tracker - Address Bar Search
+ * Turns "splat <words>" in the address bar into rotation suggestions from the cached schedule.
+ * Words can name a mode (anarchy, salmon), a time (now, next), or a rule or stage to look for.
+ */
+
+// Mode words, mapped to Utils.TRACKED_MODES keys
+const MODE_WORDS = {
+  regular: ['regular'],
+  anarchy: ['series', 'open'],
+  ranked: ['series', 'open'],
+  series: ['series'],
+  open: ['open'],
+  x: ['xbattle'],
+  xbattle: ['xbattle'],
+  challenge: ['challenge'],
+  event: ['challenge'],
+  salmon: ['salmon', 'eggstra'],
+  sr: ['salmon', 'eggstra'],
+  coop: ['salmon', 'eggstra'],
+  eggstra: ['eggstra']
+};
+
+// Time words: 'now' keeps running rotations, 'next' keeps the ones still to come
+const WHEN_WORDS = {
+  now: 'now',
+  current: 'now',
+  next: 'next',
+  later: 'next',
+  upcoming: 'next'
+};
+
+// Chrome shows about this many suggestions under the default one
+const MAX_SUGGESTIONS = 5;
+
+/**
+ * Split what was typed after the keyword into modes, a time and search terms
+ * @param {string} text Typed text, e.g. "salmon next"
+ * @returns {Object} modeKeys (null for every mode), when ('now', 'next' or null) and terms
+ */
+function parseQuery(text) {
+  const query = { modeKeys: null, when: null, terms: [] };
+
+  (text || '').toLowerCase().split(/\s+/).filter(Boolean).forEach(word => {
+    if (MODE_WORDS[word]) {
+      query.modeKeys = [...new Set([...(query.modeKeys || []), ...MODE_WORDS[word]])];
+    } else if (WHEN_WORDS[word]) {
+      query.when = WHEN_WORDS[word];
+    } else {
+      query.terms.push(word);
+    }
+  });
+
+  return query;
+}
+
+/**
+ * Build the lowercase text a rotation's search terms are matched against
+ * Both the English and the display-language names count, plus the short rule code (e.g. "tc")
+ * @param {Object} rotation The rotation data
+ * @returns {string} Searchable text
+ */
+function getSearchText(rotation) {
+  const stages = rotation.stage ? [rotation.stage] : (rotation.stages || []);
+  const parts = [
+    rotation.rule?.name,
+    Locale.ruleName(rotation.rule),
+    Utils.getRuleIcon(rotation.rule?.name)?.label,
+    Locale.eventText(rotation).name,
+    rotation.isBigRun ? 'big run' : '',
+    ...stages.flatMap(stage => [stage.name, Locale.stageName(stage)]),
+    ...(rotation.weapons || []).map(weapon => Locale.weaponName(weapon))
+  ];
+  return parts.filter(Boolean).join(' ').toLowerCase();
+}
+
+/**
+ * Find the rotations matching a query
+ * With search terms every match is listed soonest first; without, each mode's first match in mode order
+ * @param {Object|null} rotationData Cached rotation data
+ * @param {Object} query Parsed query from parseQuery()
+ * @param {Date} [now] Current time
+ * @returns {Array<Object>} Matches with modeKey, rotation and isCurrent
+ */
+function findRotations(rotationData, query, now = new Date(Utils.now())) {
+  const nowMs = now.getTime();
+  const matches = [];
+
+  Utils.TRACKED_MODES.forEach(mode => {
+    if (query.modeKeys && !query.modeKeys.includes(mode.key)) return;
+
+    const modeMatches = Utils.getModeRotations(rotationData, mode.key)
+      .filter(rotation => new Date(rotation.endTime).getTime() > nowMs)
+      .map(rotation => ({ modeKey: mode.key, rotation, isCurrent: new Date(rotation.startTime).getTime() <= nowMs }))
+      .filter(match => !query.when || match.isCurrent === (query.when === 'now'))
+      .filter(match => query.terms.every(term => getSearchText(match.rotation).includes(term)));
+
+    matches.push(...(query.terms.length > 0 ? modeMatches : modeMatches.slice(0, 1)));
+  });
+
+  if (query.terms.length === 0) return matches;
+  return matches.sort((a, b) => new Date(a.rotation.startTime) - new Date(b.rotation.startTime));
+}
+
+/**
+ * Escape text for the XML used in omnibox descriptions
+ * @param {string} text Plain text
+ * @returns {string} Escaped text
+ */
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Describe a match for the suggestion list
+ * @param {Object} match Match from findRotations()
+ * @returns {string} Omnibox description markup
+ */
+function describeMatch({ modeKey, rotation, isCurrent }) {
+  let summary;
+  if (rotation.stage) {
+    const weapons = (rotation.weapons || []).map(weapon => Locale.weaponName(weapon)).join(', ');
+    summary = [rotation.isBigRun ? Utils.getMessage('bigRun') : null, Locale.stageName(rotation.stage), weapons]
+      .filter(Boolean).join(' · ');
+  } else {
+    const stages = (rotation.stages || []).map(stage => Locale.stageName(stage)).join(' / ');
+    summary = `${Locale.ruleName(rotation.rule)} · ${stages}`;
+  }
+
+  const time = Utils.formatTimeRange(rotation.startTime, rotation.endTime, { withFriendZones: false });
+  const when = isCurrent ? `${Utils.getMessage('rotationNow')} · ${time}` : time;
+  return `<match>${escapeXml(Utils.getModeLabel(modeKey))}</match> ${escapeXml(summary)} <dim>${escapeXml(when)}</dim>`;
+}
+
+/**
+ * Build the suggestions for what has been typed so far
+ * @param {Object|null} rotationData Cached rotation data
+ * @param {string} text Typed text
+ * @returns {Array<Object>} Suggestions with content ("<modeKey> <startTime>") and description
+ */
+function buildSuggestions(rotationData, text) {
+  // Demo and scenario rotations are labelled so they aren't taken for the live schedule
+  const label = Utils.getGeneratedDataLabel(rotationData);
+  const prefix = label ? `<dim>[${escapeXml(label)}]</dim> ` : '';
+
+  return findRotations(rotationData, parseQuery(text))
+    .slice(0, MAX_SUGGESTIONS + 1)
+    .map(match => ({
+      content: `${match.modeKey} ${match.rotation.startTime}`,
+      description: `${prefix}${describeMatch(match)}`
+    }));
+}
+
+/**
+ * Work out which page to open for an accepted suggestion or typed query
+ * @param {Object|null} rotationData Cached rotation data
+ * @param {string} text Suggestion content, or the typed text when Enter was pressed directly
+ * @returns {string} Extension URL of the popup page focused on the rotation
+ */
+function getTargetUrl(rotationData, text) {
+  const [modeKey, startTime] = (text || '').trim().split(' ');
+  let target = Utils.TRACKED_MODES.some(mode => mode.key === modeKey) && !isNaN(Date.parse(startTime))
+    ? { modeKey, startTime }
+    : null;
+
+  if (!target) {
+    const match = findRotations(rotationData, parseQuery(text))[0];
+    target = match ? { modeKey: match.modeKey, startTime: match.rotation.startTime } : null;
+  }
+
+  const params = target ? `?${new URLSearchParams({ mode: target.modeKey, start: target.startTime })}` : '';
+  return chrome.runtime.getURL(`popup.html${params}`);
+}
+
+// Export the module
+const OmniboxSearch = {
+  MAX_SUGGESTIONS,
+  parseQuery,
+  findRotations,
+  describeMatch,
+  buildSuggestions,
+  getTargetUrl
+};
+
+// Make OmniboxSearch available in different contexts
+if (typeof window !== 'undefined') {
+  window.OmniboxSearch = OmniboxSearch;
+} else if (typeof self !== 'undefined') {
+  self.OmniboxSearch = OmniboxSearch;
+}
@@ -3,26 +3,87 @@
  */
 
 document.addEventListener('DOMContentLoaded', function() {
+  // Static text comes from the _locales catalogs for the browser's language
+  document.documentElement.lang = chrome.i18n.getUILanguage();
+  Utils.localizePage();
+
   // Elements cache
   const elements = {
     container: document.querySelector('.container'),
     title: document.querySelector('.header h1'),
     currentRotation: document.getElementById('current-rotation'),
     nextRotation: document.getElementById('next-rotation'),
+    upcomingRotations: document.getElementById('upcoming-rotations'),
+    eggstraSection: document.getElementById('eggstra-section'),
+    eggstraRotation: document.getElementById('eggstra-rotation'),
     lastUpdated: document.getElementById('last-updated'),
     refreshBtn: document.getElementById('refresh-btn'),
     settingsBtn: document.getElementById('settings-btn'),
+    calendarBtn: document.getElementById('calendar-btn'),
+    statsBtn: document.getElementById('stats-btn'),
+    diagnosticsBtn: document.getElementById('diagnostics-btn'),
+    sidePanelBtn: document.getElementById('side-panel-btn'),
     settingsPanel: document.getElementById('settings-panel'),
     closeSettingsBtn: document.getElementById('close-settings-btn'),
+    modeTabs: document.querySelector('.mode-tabs'),
     tabButtons: document.querySelectorAll('.tab-btn'),
+    rotationPanel: document.getElementById('rotation-panel'),
+    countdownStatus: document.getElementById('countdown-status'),
+    anarchySubtabs: document.getElementById('anarchy-subtabs'),
+    subtabButtons: document.querySelectorAll('.subtab-btn'),
     footer: document.querySelector('.footer'),
     
     // Notification checkboxes
     notificationsCheckbox: document.getElementById('enable-notifications'),
     notifyRegularCheckbox: document.getElementById('notify-regular'),
-    notifyAnarchyCheckbox: document.getElementById('notify-anarchy'),
+    notifyAnarchySeriesCheckbox: document.getElementById('notify-anarchy-series'),
+    notifyAnarchyOpenCheckbox: document.getElementById('notify-anarchy-open'),
     notifyXbattleCheckbox: document.getElementById('notify-xbattle'),
     notifySalmonCheckbox: document.getElementById('notify-salmon'),
+    notifyEggstraCheckbox: document.getElementById('notify-eggstra'),
+    notifySplatfestCheckbox: document.getElementById('notify-splatfest'),
+
+    // Toolbar badge settings
+    badgeModeSelect: document.getElementById('badge-mode'),
+    badgeShowSelect: document.getElementById('badge-show'),
+
+    // Appearance settings
+    themeSelect: document.getElementById('theme'),
+    reduceMotionCheckbox: document.getElementById('reduce-motion'),
+    showDecorationsCheckbox: document.getElementById('show-decorations'),
+
+    // Language setting
+    languageSelect: document.getElementById('language'),
+
+    // Time display settings
+    clockFormatSelect: document.getElementById('clock-format'),
+    timeZoneInput: document.getElementById('time-zone'),
+    friendZoneInputs: document.querySelectorAll('.friend-zone-input'),
+    timeZoneOptions: document.getElementById('time-zone-options'),
+    timeZoneStatus: document.getElementById('time-zone-status'),
+
+    // Reminder lead time settings
+    reminderLeadTimes: document.getElementById('reminder-lead-times'),
+    pendingReminders: document.getElementById('pending-reminders'),
+    reminderStatus: document.getElementById('reminder-status'),
+
+    // Watchlist settings
+    watchlistList: document.getElementById('watchlist-list'),
+    watchModeSelect: document.getElementById('watch-mode'),
+    watchRuleSelect: document.getElementById('watch-rule'),
+    watchStagesSelect: document.getElementById('watch-stages'),
+    watchAddBtn: document.getElementById('watch-add-btn'),
+
+    // Calendar export
+    exportModes: document.getElementById('export-modes'),
+    exportWatchedOnlyCheckbox: document.getElementById('export-watched-only'),
+    exportIcsBtn: document.getElementById('export-ics-btn'),
+    exportStatus: document.getElementById('export-status'),
+
+    // Demo mode
+    demoModeCheckbox: document.getElementById('demo-mode'),
+    demoBanner: document.getElementById('demo-banner'),
+    devBanner: document.getElementById('dev-banner'),
 
     // Splatfest banner
     splatfestBanner: document.getElementById('splatfest-banner')
@@ -30,19 +91,33 @@ document.addEventListener('DOMContentLoaded', function() {
   
   // Current selected game mode
   let currentMode = 'regular';
+  // Selected Anarchy sub-mode ('series' or 'open')
+  let anarchySubMode = 'series';
   let isFirstLoad = true;
   let countdownInterval = null;
   let refreshCooldownInterval = null;
   let hasTriggeredAutoRefresh = false;
   let isRefreshing = false;
-  
-  // Add decorative elements
-  addDecorativeElements();
+  // Watch rules used to highlight matching rotations
+  let watchRules = [];
+  // Latest rotation data, used to offer newly seen stages in the watchlist form
+  let lastRotationData = null;
+  // Cached image thumbnails for lastRotationData, and the refresh they were loaded for
+  let thumbnails = new Map();
+  let thumbnailsLoadedFor = null;
+  // One-off reminders set with the bell buttons
+  let pendingReminders = [];
+  // Rotation to scroll to once rendered, when opened from an address bar suggestion
+  let focusTarget = null;
+  // Minutes left at which the live region reads the countdown out again
+  const COUNTDOWN_ANNOUNCE_MINUTES = [60, 30, 15, 5, 1];
+  // Last countdown milestone read out by the live region
+  let lastCountdownAnnouncement = null;
   
   // Add link to title
   if (elements.title) {
     elements.title.style.cursor = 'pointer';
-    elements.title.title = 'Visit splatoon3.ink';
+    elements.title.title = Utils.getMessage('visitSplatoon3ink');
     elements.title.addEventListener('click', function() {
       chrome.tabs.create({ url: 'https://splatoon3.ink' });
     });
@@ -55,15 +130,25 @@ document.addEventListener('DOMContentLoaded', function() {
   iconImg.style.height = '16px';
   iconImg.style.verticalAlign = 'middle';
   iconImg.style.marginRight = '5px';
-  iconImg.title = 'Splatoon 3 Rotation Tracker';
+  iconImg.title = Utils.getMessage('extName');
   if (elements.footer) {
     elements.footer.querySelector('p').prepend(iconImg);
   }
   
   // Initialize - restore last tab, load settings, then display data
   (async () => {
+    await loadAppearanceSettings();
     await restoreLastTab();
+    applyUrlFocus();
     await loadSettings();
+    await loadBadgeSettings();
+    await loadLanguageSettings();
+    await loadTimeDisplaySettings();
+    await Utils.loadClock();
+    await loadReminderSettings();
+    await loadPendingReminders();
+    await loadWatchlist();
+    await loadDemoModeSetting();
     displayRotationData();
   })();
   
@@ -72,23 +157,96 @@ document.addEventListener('DOMContentLoaded', function() {
     elements.refreshBtn.addEventListener('click', refreshData);
   }
   
+  // The calendar grid and stats need more room than the popup, so they open as full pages
+  if (elements.calendarBtn) {
+    elements.calendarBtn.addEventListener('click', function() {
+      chrome.tabs.create({ url: chrome.runtime.getURL('calendar.html') });
+    });
+  }
+
+  if (elements.statsBtn) {
+    elements.statsBtn.addEventListener('click', function() {
+      chrome.tabs.create({ url: chrome.runtime.getURL('stats.html') });
+    });
+  }
+
+  if (elements.diagnosticsBtn) {
+    elements.diagnosticsBtn.addEventListener('click', function() {
+      chrome.tabs.create({ url: chrome.runtime.getURL('diagnostics.html') });
+    });
+  }
+
+  // The side panel stays open next to the tab; it has to be opened from the click itself,
+  // so the window is looked up before the button is pressed
+  if (elements.sidePanelBtn) {
+    let windowId = null;
+    chrome.windows.getCurrent().then(win => { windowId = win.id; });
+    elements.sidePanelBtn.addEventListener('click', async function() {
+      if (windowId === null) return;
+      try {
+        await chrome.sidePanel.open({ windowId });
+        window.close();
+      } catch (error) {
+        console.error('Failed to open side panel:', error);
+      }
+    });
+  }
+
   if (elements.settingsBtn) {
     elements.settingsBtn.addEventListener('click', function() {
       if (elements.settingsPanel) {
+        populateWatchStageOptions();
         elements.settingsPanel.classList.add('visible');
+        // Move focus into the panel so keyboard users don't stay on the hidden tabs
+        elements.notificationsCheckbox?.focus();
       }
     });
   }
   
   if (elements.closeSettingsBtn) {
-    elements.closeSettingsBtn.addEventListener('click', function() {
-      if (elements.settingsPanel) {
-        elements.settingsPanel.classList.remove('visible');
-      }
-    });
+    elements.closeSettingsBtn.addEventListener('click', closeSettings);
   }
-  
 
+  // Escape closes the settings panel
+  document.addEventListener('keydown', event => {
+    if (event.key === 'Escape' && elements.settingsPanel?.classList.contains('visible')) {
+      event.preventDefault();
+      closeSettings();
+    }
+  });
+
+  // Number keys 1-5 jump straight to a mode tab, unless settings are open or a field has focus
+  document.addEventListener('keydown', event => {
+    if (event.altKey || event.ctrlKey || event.metaKey || !/^[1-5]$/.test(event.key)) return;
+    if (elements.settingsPanel?.classList.contains('visible')) return;
+    if (event.target.closest?.('input, select, textarea')) return;
+
+    const tab = elements.tabButtons[Number(event.key) - 1];
+    event.preventDefault();
+    tab.focus();
+    tab.click();
+  });
+
+  // Arrow keys, Home and End move between mode tabs, selecting as they go
+  if (elements.modeTabs) {
+    elements.modeTabs.addEventListener('keydown', event => {
+      const tabs = [...elements.tabButtons];
+      const index = tabs.indexOf(event.target);
+      if (index === -1) return;
+
+      const targetIndex = {
+        ArrowRight: (index + 1) % tabs.length,
+        ArrowLeft: (index - 1 + tabs.length) % tabs.length,
+        Home: 0,
+        End: tabs.length - 1
+      }[event.key];
+      if (targetIndex === undefined) return;
+
+      event.preventDefault();
+      tabs[targetIndex].focus();
+      tabs[targetIndex].click();
+    });
+  }
   
   // Handle tab buttons
   elements.tabButtons.forEach(button => {
@@ -96,11 +254,10 @@ document.addEventListener('DOMContentLoaded', function() {
       currentMode = this.dataset.mode;
 
       // Update active state
-      elements.tabButtons.forEach(btn => btn.classList.remove('active'));
-      this.classList.add('active');
+      setActiveTab(currentMode);
 
-      // Update background with ink transition
-      if (elements.container) {
+      // Update background with ink transition (skipped when motion is reduced)
+      if (elements.container && !Theme.isReducedMotion()) {
         const splash = document.createElement('div');
         splash.className = 'ink-splash';
         elements.container.appendChild(splash);
@@ -115,6 +272,15 @@ document.addEventListener('DOMContentLoaded', function() {
       displayRotationData();
     });
   });
+
+  // Handle Anarchy Series/Open switch
+  elements.subtabButtons.forEach(button => {
+    button.addEventListener('click', function() {
+      setAnarchySubMode(this.dataset.submode);
+      chrome.storage.local.set({ lastAnarchySubMode: anarchySubMode });
+      displayRotationData();
+    });
+  });
   
   // Notification settings listeners
   if (elements.notificationsCheckbox) {
@@ -127,9 +293,12 @@ document.addEventListener('DOMContentLoaded', function() {
   
   const notifyCheckboxes = [
     elements.notifyRegularCheckbox,
-    elements.notifyAnarchyCheckbox,
+    elements.notifyAnarchySeriesCheckbox,
+    elements.notifyAnarchyOpenCheckbox,
     elements.notifyXbattleCheckbox,
-    elements.notifySalmonCheckbox
+    elements.notifySalmonCheckbox,
+    elements.notifyEggstraCheckbox,
+    elements.notifySplatfestCheckbox
   ];
   
   notifyCheckboxes.forEach(checkbox => {
@@ -137,6 +306,58 @@ document.addEventListener('DOMContentLoaded', function() {
       checkbox.addEventListener('change', saveNotificationSettings);
     }
   });
+
+  // Toolbar badge listeners
+  [elements.badgeModeSelect, elements.badgeShowSelect].forEach(select => {
+    if (select) {
+      select.addEventListener('change', saveBadgeSettings);
+    }
+  });
+
+  // Appearance listeners
+  [elements.themeSelect, elements.reduceMotionCheckbox, elements.showDecorationsCheckbox].forEach(control => {
+    if (control) {
+      control.addEventListener('change', saveAppearanceSettings);
+    }
+  });
+
+  // Demo mode listener
+  if (elements.demoModeCheckbox) {
+    elements.demoModeCheckbox.addEventListener('change', saveDemoModeSetting);
+  }
+
+  // Language listener
+  if (elements.languageSelect) {
+    elements.languageSelect.addEventListener('change', saveLanguageSettings);
+  }
+
+  // Locale reloads its names when the language changes; redraw once they're in
+  Locale.onLocaleChange(() => {
+    displayRotationData();
+    renderPendingReminders();
+  });
+
+  // Time display listeners
+  [elements.clockFormatSelect, elements.timeZoneInput, ...elements.friendZoneInputs].forEach(input => {
+    if (input) {
+      input.addEventListener('change', saveTimeDisplaySettings);
+    }
+  });
+
+  // Watchlist form listeners
+  if (elements.watchModeSelect) {
+    elements.watchModeSelect.addEventListener('change', populateWatchStageOptions);
+  }
+
+  if (elements.watchAddBtn) {
+    elements.watchAddBtn.addEventListener('click', addWatchRule);
+  }
+
+  // Calendar export
+  renderExportModes();
+  if (elements.exportIcsBtn) {
+    elements.exportIcsBtn.addEventListener('click', exportCalendar);
+  }
   
   /**
    * Add decorative elements to the popup
@@ -165,6 +386,62 @@ document.addEventListener('DOMContentLoaded', function() {
     }
   }
   
+  /**
+   * Apply the saved theme, motion and decoration settings and fill in their controls
+   */
+  async function loadAppearanceSettings() {
+    const appearance = await Theme.loadAppearance();
+
+    if (elements.themeSelect) elements.themeSelect.value = appearance.theme;
+    if (elements.reduceMotionCheckbox) elements.reduceMotionCheckbox.checked = appearance.reduceMotion;
+    if (elements.showDecorationsCheckbox) elements.showDecorationsCheckbox.checked = appearance.decorations;
+
+    if (appearance.decorations) addDecorativeElements();
+  }
+
+  /**
+   * Load the demo mode switch
+   */
+  async function loadDemoModeSetting() {
+    const { demoMode } = await chrome.storage.sync.get(['demoMode']);
+    if (elements.demoModeCheckbox) elements.demoModeCheckbox.checked = demoMode === true;
+  }
+
+  /**
+   * Save the demo mode switch and swap the generated data in or out right away
+   */
+  async function saveDemoModeSetting() {
+    try {
+      await chrome.storage.sync.set({ demoMode: elements.demoModeCheckbox.checked });
+      await refreshData(true);
+    } catch (error) {
+      console.error('Failed to save demo mode:', error);
+    }
+  }
+
+  /**
+   * Save the appearance settings; every open page restyles through Theme's storage listener
+   */
+  async function saveAppearanceSettings() {
+    const appearance = {
+      theme: elements.themeSelect.value,
+      reduceMotion: elements.reduceMotionCheckbox.checked,
+      decorations: elements.showDecorationsCheckbox.checked
+    };
+
+    // Decorations turned on after the popup opened without them
+    if (appearance.decorations && !elements.container?.querySelector('.ink-splat')) {
+      addDecorativeElements();
+    }
+
+    try {
+      await chrome.storage.sync.set({ appearance });
+      console.log('Appearance settings saved');
+    } catch (error) {
+      console.error('Failed to save appearance settings:', error);
+    }
+  }
+
   /**
    * Safely set a message inside a container using DOM methods (no innerHTML)
    * @param {HTMLElement} container The container element
@@ -184,13 +461,14 @@ document.addEventListener('DOMContentLoaded', function() {
    */
   async function restoreLastTab() {
     try {
-      const data = await chrome.storage.local.get(['lastTab']);
+      const data = await chrome.storage.local.get(['lastTab', 'lastAnarchySubMode']);
       const validModes = ['regular', 'anarchy', 'xbattle', 'challenge', 'salmon'];
+      if (data.lastAnarchySubMode) {
+        setAnarchySubMode(data.lastAnarchySubMode);
+      }
       if (data.lastTab && validModes.includes(data.lastTab)) {
         currentMode = data.lastTab;
-        elements.tabButtons.forEach(btn => btn.classList.remove('active'));
-        const targetBtn = document.querySelector(`[data-mode="${currentMode}"]`);
-        if (targetBtn) targetBtn.classList.add('active');
+        setActiveTab(currentMode);
         updateBackgroundForMode(currentMode);
         isFirstLoad = false;
       }
@@ -199,6 +477,79 @@ document.addEventListener('DOMContentLoaded', function() {
     }
   }
 
+  /**
+   * Open on the rotation named in the page URL (?mode=open&start=...), as linked from the address bar
+   * The tab is only shown, not remembered as the last tab
+   */
+  function applyUrlFocus() {
+    const params = new URLSearchParams(window.location.search);
+    const mode = Utils.TRACKED_MODES.find(m => m.key === params.get('mode'));
+    if (!mode) return;
+
+    if (mode.subMode) setAnarchySubMode(mode.subMode);
+    currentMode = mode.source;
+    setActiveTab(currentMode);
+    updateBackgroundForMode(currentMode);
+    isFirstLoad = false;
+    focusTarget = { modeKey: mode.key, startTime: params.get('start') };
+  }
+
+  /**
+   * Highlight and scroll to the rotation from the page URL, once
+   */
+  function focusLinkedRotation() {
+    if (!focusTarget?.startTime) return;
+
+    const candidates = focusTarget.modeKey === 'eggstra'
+      ? [elements.eggstraRotation]
+      : [elements.currentRotation, elements.nextRotation, ...(elements.upcomingRotations?.children || [])];
+    const target = candidates.find(el => el?.dataset.startTime === focusTarget.startTime);
+    focusTarget = null;
+    if (!target) return;
+
+    target.classList.add('linked-rotation');
+    target.scrollIntoView({ block: 'center' });
+  }
+
+  /**
+   * Mark a mode tab as selected, for the tab styling and the ARIA tablist alike
+   * Only the selected tab is in the Tab order; arrow keys reach the others
+   * @param {string} mode The game mode
+   */
+  function setActiveTab(mode) {
+    elements.tabButtons.forEach(btn => {
+      const selected = btn.dataset.mode === mode;
+      btn.classList.toggle('active', selected);
+      btn.setAttribute('aria-selected', String(selected));
+      btn.tabIndex = selected ? 0 : -1;
+      if (selected && elements.rotationPanel) {
+        elements.rotationPanel.setAttribute('aria-labelledby', btn.id);
+      }
+    });
+  }
+
+  /**
+   * Hide the settings panel and return focus to the button that opened it
+   */
+  function closeSettings() {
+    if (!elements.settingsPanel) return;
+    elements.settingsPanel.classList.remove('visible');
+    elements.settingsBtn?.focus();
+  }
+
+  /**
+   * Select the Anarchy sub-mode and update the switch state
+   * @param {string} subMode 'series' or 'open'
+   */
+  function setAnarchySubMode(subMode) {
+    anarchySubMode = subMode === 'open' ? 'open' : 'series';
+    elements.subtabButtons.forEach(btn => {
+      const selected = btn.dataset.submode === anarchySubMode;
+      btn.classList.toggle('active', selected);
+      btn.setAttribute('aria-pressed', String(selected));
+    });
+  }
+
   /**
    * Update the Splatfest banner display
    * @param {Object|null} splatfest Splatfest data or null
@@ -214,22 +565,35 @@ document.addEventListener('DOMContentLoaded', function() {
     elements.splatfestBanner.style.display = 'block';
     elements.splatfestBanner.textContent = '';
 
+    // Expose the team colours to the banner and the fest rotation cards
+    const teamColors = (splatfest.teams || []).map(t => t.color).filter(Boolean);
+    [0, 1, 2].forEach(i => {
+      const color = teamColors[i] || teamColors[0];
+      if (color) {
+        elements.container.style.setProperty(`--fest-team-${i + 1}`, color);
+      } else {
+        elements.container.style.removeProperty(`--fest-team-${i + 1}`);
+      }
+    });
+    elements.splatfestBanner.classList.toggle('team-colored', teamColors.length > 0);
+
     const titleEl = document.createElement('div');
     titleEl.className = 'splatfest-title';
-    titleEl.textContent = splatfest.title || 'Splatfest';
+    const festText = Locale.festText(splatfest);
+    titleEl.textContent = festText.title;
     elements.splatfestBanner.appendChild(titleEl);
 
     if (splatfest.teams && splatfest.teams.length > 0) {
       const teamsEl = document.createElement('div');
       teamsEl.className = 'splatfest-teams';
-      teamsEl.textContent = splatfest.teams.map(t => t.teamName).join(' vs ');
+      teamsEl.textContent = festText.teamNames.join(' vs ');
       elements.splatfestBanner.appendChild(teamsEl);
     }
 
     if (splatfest.state === 'SCHEDULED' && splatfest.startTime) {
       const timeEl = document.createElement('div');
       timeEl.className = 'splatfest-time';
-      timeEl.textContent = `Starts: ${Utils.formatTime(new Date(splatfest.startTime))}`;
+      timeEl.textContent = Utils.getMessage('festStarts', Utils.formatTime(new Date(splatfest.startTime)));
       timeEl.style.fontSize = '0.75rem';
       timeEl.style.opacity = '0.8';
       timeEl.style.marginTop = '4px';
@@ -272,9 +636,12 @@ document.addEventListener('DOMContentLoaded', function() {
       const settings = await chrome.storage.sync.get([
         'enableNotifications',
         'notifyRegular',
-        'notifyAnarchy',
+        'notifyAnarchySeries',
+        'notifyAnarchyOpen',
         'notifyXbattle',
-        'notifySalmon'
+        'notifySalmon',
+        'notifyEggstra',
+        'notifySplatfest'
       ]);
 
       // Only set checkbox if value exists in storage, otherwise leave unchecked
@@ -284,8 +651,11 @@ document.addEventListener('DOMContentLoaded', function() {
       if (elements.notifyRegularCheckbox) {
         elements.notifyRegularCheckbox.checked = settings.notifyRegular === true;
       }
-      if (elements.notifyAnarchyCheckbox) {
-        elements.notifyAnarchyCheckbox.checked = settings.notifyAnarchy === true;
+      if (elements.notifyAnarchySeriesCheckbox) {
+        elements.notifyAnarchySeriesCheckbox.checked = settings.notifyAnarchySeries === true;
+      }
+      if (elements.notifyAnarchyOpenCheckbox) {
+        elements.notifyAnarchyOpenCheckbox.checked = settings.notifyAnarchyOpen === true;
       }
       if (elements.notifyXbattleCheckbox) {
         elements.notifyXbattleCheckbox.checked = settings.notifyXbattle === true;
@@ -293,6 +663,12 @@ document.addEventListener('DOMContentLoaded', function() {
       if (elements.notifySalmonCheckbox) {
         elements.notifySalmonCheckbox.checked = settings.notifySalmon === true;
       }
+      if (elements.notifyEggstraCheckbox) {
+        elements.notifyEggstraCheckbox.checked = settings.notifyEggstra === true;
+      }
+      if (elements.notifySplatfestCheckbox) {
+        elements.notifySplatfestCheckbox.checked = settings.notifySplatfest === true;
+      }
 
       setModeTogglesDisabled(settings.enableNotifications !== true);
     } catch (error) {
@@ -307,9 +683,12 @@ document.addEventListener('DOMContentLoaded', function() {
   function setModeTogglesDisabled(disabled) {
     [
       elements.notifyRegularCheckbox,
-      elements.notifyAnarchyCheckbox,
+      elements.notifyAnarchySeriesCheckbox,
+      elements.notifyAnarchyOpenCheckbox,
       elements.notifyXbattleCheckbox,
-      elements.notifySalmonCheckbox
+      elements.notifySalmonCheckbox,
+      elements.notifyEggstraCheckbox,
+      elements.notifySplatfestCheckbox
     ].forEach(checkbox => {
       if (checkbox) checkbox.disabled = disabled;
     });
@@ -322,9 +701,12 @@ document.addEventListener('DOMContentLoaded', function() {
     const settings = {
       enableNotifications: elements.notificationsCheckbox?.checked || false,
       notifyRegular: elements.notifyRegularCheckbox?.checked || false,
-      notifyAnarchy: elements.notifyAnarchyCheckbox?.checked || false,
+      notifyAnarchySeries: elements.notifyAnarchySeriesCheckbox?.checked || false,
+      notifyAnarchyOpen: elements.notifyAnarchyOpenCheckbox?.checked || false,
       notifyXbattle: elements.notifyXbattleCheckbox?.checked || false,
-      notifySalmon: elements.notifySalmonCheckbox?.checked || false
+      notifySalmon: elements.notifySalmonCheckbox?.checked || false,
+      notifyEggstra: elements.notifyEggstraCheckbox?.checked || false,
+      notifySplatfest: elements.notifySplatfestCheckbox?.checked || false
     };
     
     try {
@@ -335,6 +717,594 @@ document.addEventListener('DOMContentLoaded', function() {
     }
   }
   
+  /**
+   * Fill in the toolbar badge pickers from stored settings
+   */
+  async function loadBadgeSettings() {
+    if (!elements.badgeModeSelect) return;
+
+    let settings = { mode: null, show: 'rule' };
+    try {
+      settings = await ToolbarBadge.loadBadgeSettings();
+    } catch (error) {
+      console.error('Failed to load badge settings:', error);
+    }
+
+    elements.badgeModeSelect.textContent = '';
+    elements.badgeModeSelect.appendChild(new Option(Utils.getMessage('badgeModeOff'), ''));
+    Utils.TRACKED_MODES.forEach(mode => {
+      elements.badgeModeSelect.appendChild(new Option(Utils.getModeLabel(mode.key), mode.key));
+    });
+
+    elements.badgeModeSelect.value = settings.mode || '';
+    elements.badgeShowSelect.value = settings.show;
+    elements.badgeShowSelect.disabled = !settings.mode;
+  }
+
+  /**
+   * Save the toolbar badge settings; the background worker redraws the badge
+   */
+  async function saveBadgeSettings() {
+    const badge = {
+      mode: elements.badgeModeSelect.value || null,
+      show: elements.badgeShowSelect.value
+    };
+    elements.badgeShowSelect.disabled = !badge.mode;
+
+    try {
+      await chrome.storage.sync.set({ badge });
+      console.log('Badge settings saved');
+    } catch (error) {
+      console.error('Failed to save badge settings:', error);
+    }
+  }
+
+  /**
+   * Load the chosen language's names and fill in the language picker
+   */
+  async function loadLanguageSettings() {
+    const language = await Locale.initLocale();
+
+    if (elements.languageSelect) {
+      elements.languageSelect.textContent = '';
+      Locale.SUPPORTED_LANGUAGES.forEach(({ code, label }) => {
+        elements.languageSelect.appendChild(new Option(label, code));
+      });
+      elements.languageSelect.value = language;
+    }
+  }
+
+  /**
+   * Save the language setting; Locale loads its names and the rotations are redrawn from onLocaleChange
+   */
+  async function saveLanguageSettings() {
+    const language = elements.languageSelect.value;
+
+    try {
+      await chrome.storage.sync.set({ language });
+      console.log('Language setting saved');
+    } catch (error) {
+      console.error('Failed to save language setting:', error);
+    }
+  }
+
+  /**
+   * Load the clock and time zone settings and fill in the form
+   */
+  async function loadTimeDisplaySettings() {
+    const settings = await Utils.loadTimeSettings();
+
+    if (elements.timeZoneOptions && typeof Intl.supportedValuesOf === 'function') {
+      elements.timeZoneOptions.textContent = '';
+      Intl.supportedValuesOf('timeZone').forEach(zone => {
+        elements.timeZoneOptions.appendChild(new Option(zone));
+      });
+    }
+
+    if (elements.clockFormatSelect) {
+      elements.clockFormatSelect.value = settings.hour12 ? '12' : '24';
+    }
+    if (elements.timeZoneInput) {
+      elements.timeZoneInput.value = settings.timeZone || '';
+    }
+    elements.friendZoneInputs.forEach((input, i) => {
+      input.value = settings.friendZones[i] || '';
+    });
+  }
+
+  /**
+   * Validate and save the clock and time zone settings, then redraw the times
+   */
+  async function saveTimeDisplaySettings() {
+    const inputs = [elements.timeZoneInput, ...elements.friendZoneInputs];
+    const invalid = inputs.filter(input => input.value.trim() && !Utils.isValidTimeZone(input.value.trim()));
+    inputs.forEach(input => input.classList.toggle('invalid', invalid.includes(input)));
+
+    if (invalid.length > 0) {
+      elements.timeZoneStatus.textContent = Utils.getMessage('unknownTimeZone', invalid.map(input => input.value.trim()).join(', '));
+      return;
+    }
+    elements.timeZoneStatus.textContent = '';
+
+    const timeDisplay = {
+      hour12: elements.clockFormatSelect.value !== '24',
+      timeZone: elements.timeZoneInput.value.trim() || null,
+      friendZones: Array.from(elements.friendZoneInputs).map(input => input.value.trim()).filter(Boolean)
+    };
+
+    try {
+      await chrome.storage.sync.set({ timeDisplay });
+      console.log('Time display settings saved');
+    } catch (error) {
+      console.error('Failed to save time display settings:', error);
+    }
+
+    // Apply right away rather than waiting for the storage listener
+    Utils.setTimeSettings(timeDisplay);
+    renderPendingReminders();
+    displayRotationData();
+  }
+
+  /**
+   * Build the per-mode reminder lead time pickers from stored settings
+   */
+  async function loadReminderSettings() {
+    if (!elements.reminderLeadTimes) return;
+
+    let leadTimes = {};
+    try {
+      leadTimes = await Reminders.loadLeadTimes();
+    } catch (error) {
+      console.error('Failed to load reminder settings:', error);
+    }
+
+    elements.reminderLeadTimes.textContent = '';
+
+    Utils.TRACKED_MODES.forEach(mode => {
+      const row = document.createElement('div');
+      row.className = 'toggle-label';
+
+      const label = document.createElement('span');
+      label.textContent = Utils.getModeLabel(mode.key);
+      row.appendChild(label);
+
+      const select = document.createElement('select');
+      select.className = 'lead-time-select';
+      select.dataset.mode = mode.key;
+      select.setAttribute('aria-label', Utils.getMessage('reminderLeadTimeLabel', label.textContent));
+      Reminders.LEAD_TIME_OPTIONS.forEach(minutes => {
+        const text = minutes === 0 ? Utils.getMessage('leadTimeOff') : Utils.getMessage('leadTimeMinutes', String(minutes));
+        select.appendChild(new Option(text, String(minutes)));
+      });
+      select.value = String(leadTimes[mode.key] || 0);
+      select.addEventListener('change', saveReminderSettings);
+      row.appendChild(select);
+
+      elements.reminderLeadTimes.appendChild(row);
+    });
+  }
+
+  /**
+   * Save the per-mode reminder lead times to storage
+   */
+  async function saveReminderSettings() {
+    const reminderLeadTimes = {};
+    elements.reminderLeadTimes.querySelectorAll('.lead-time-select').forEach(select => {
+      reminderLeadTimes[select.dataset.mode] = Number(select.value);
+    });
+
+    try {
+      await chrome.storage.sync.set({ reminderLeadTimes });
+      console.log('Reminder settings saved');
+    } catch (error) {
+      console.error('Failed to save reminder settings:', error);
+    }
+  }
+
+  /**
+   * Load the pending one-off reminders from storage
+   */
+  async function loadPendingReminders() {
+    try {
+      pendingReminders = await Reminders.loadCustomReminders();
+    } catch (error) {
+      console.error('Failed to load pending reminders:', error);
+      pendingReminders = [];
+    }
+    renderPendingReminders();
+  }
+
+  /**
+   * Render the pending one-off reminders with cancel buttons
+   */
+  function renderPendingReminders() {
+    if (!elements.pendingReminders) return;
+
+    elements.pendingReminders.textContent = '';
+
+    if (pendingReminders.length === 0) {
+      setMessage(elements.pendingReminders, Utils.getMessage('noPendingReminders'), 'no-data');
+      return;
+    }
+
+    pendingReminders.forEach(reminder => {
+      const itemEl = document.createElement('div');
+      itemEl.className = 'settings-item';
+
+      const textEl = document.createElement('span');
+      textEl.textContent = `${Reminders.describeCustomReminder(reminder)} · ${Utils.formatTime(new Date(reminder.startTime))}`;
+      itemEl.appendChild(textEl);
+
+      const cancelBtn = document.createElement('button');
+      cancelBtn.className = 'settings-item-remove';
+      cancelBtn.textContent = '✕';
+      cancelBtn.setAttribute('aria-label', Utils.getMessage('cancelReminderNamed', textEl.textContent));
+      cancelBtn.addEventListener('click', async () => {
+        const error = await cancelReminder(reminder.id);
+        if (elements.reminderStatus) elements.reminderStatus.textContent = error || '';
+      });
+      itemEl.appendChild(cancelBtn);
+
+      elements.pendingReminders.appendChild(itemEl);
+    });
+  }
+
+  /**
+   * Sync the pressed state of every bell button with the pending reminders
+   */
+  function updateRemindButtons() {
+    const pendingIds = pendingReminders.map(reminder => reminder.id);
+    document.querySelectorAll('.remind-btn').forEach(btn => {
+      const isSet = pendingIds.includes(btn.dataset.reminderId);
+      btn.classList.toggle('active', isSet);
+      btn.setAttribute('aria-pressed', String(isSet));
+      btn.title = Utils.getMessage(isSet ? 'cancelReminder' : 'remindMe');
+    });
+  }
+
+  /**
+   * Create a bell button that sets or cancels a one-off reminder for a rotation
+   * @param {Object} rotation The rotation data
+   * @returns {HTMLElement} The bell button
+   */
+  function createRemindButton(rotation, modeKey = getTrackedModeKey()) {
+    const btn = document.createElement('button');
+    btn.className = 'remind-btn';
+    btn.textContent = '🔔';
+    btn.dataset.reminderId = Reminders.getCustomReminderId(modeKey, rotation.startTime);
+    btn.setAttribute('aria-label', Utils.getMessage('remindMeAbout'));
+
+    const isSet = pendingReminders.some(reminder => reminder.id === btn.dataset.reminderId);
+    btn.classList.toggle('active', isSet);
+    btn.setAttribute('aria-pressed', String(isSet));
+    btn.title = Utils.getMessage(isSet ? 'cancelReminder' : 'remindMe');
+
+    btn.addEventListener('click', async (event) => {
+      event.stopPropagation();
+      const error = btn.classList.contains('active')
+        ? await cancelReminder(btn.dataset.reminderId)
+        : await setReminder(modeKey, rotation.startTime);
+      showRemindError(btn, error);
+    });
+
+    return btn;
+  }
+
+  /**
+   * Show why a bell click failed right after the bell, or clear an earlier message
+   * @param {HTMLElement} btn The bell button
+   * @param {string|null} error Message from setReminder() or cancelReminder()
+   */
+  function showRemindError(btn, error) {
+    let errorEl = btn.nextElementSibling?.classList.contains('remind-error') ? btn.nextElementSibling : null;
+    if (!error) {
+      errorEl?.remove();
+      return;
+    }
+
+    if (!errorEl) {
+      errorEl = document.createElement('span');
+      errorEl.className = 'remind-error error';
+      errorEl.setAttribute('role', 'alert');
+      btn.after(errorEl);
+    }
+    errorEl.textContent = error;
+  }
+
+  /**
+   * Ask the background worker to schedule a one-off reminder
+   * @param {string} modeKey Tracked mode key
+   * @param {string} startTime Rotation start time
+   * @returns {Promise<string|null>} Message to show when it failed, otherwise null
+   */
+  async function setReminder(modeKey, startTime) {
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'addReminder', mode: modeKey, startTime });
+      if (!response?.success) {
+        throw new Error(response?.error || 'Unknown error while setting reminder.');
+      }
+      return null;
+    } catch (error) {
+      console.error('Failed to set reminder:', error);
+      return Utils.getMessage('reminderSetFailed');
+    }
+  }
+
+  /**
+   * Ask the background worker to cancel a one-off reminder
+   * @param {string} id Reminder ID
+   * @returns {Promise<string|null>} Message to show when it failed, otherwise null
+   */
+  async function cancelReminder(id) {
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'cancelReminder', id });
+      if (!response?.success) {
+        throw new Error(response?.error || 'Unknown error while cancelling reminder.');
+      }
+      return null;
+    } catch (error) {
+      console.error('Failed to cancel reminder:', error);
+      return Utils.getMessage('reminderCancelFailed');
+    }
+  }
+
+  // Keep the bells and the pending list in sync with the background worker
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && changes.customReminders) {
+      pendingReminders = (changes.customReminders.newValue || []).sort((a, b) => a.when - b.when);
+      renderPendingReminders();
+      updateRemindButtons();
+    }
+  });
+
+  /**
+   * Load watch rules from storage and set up the watchlist form
+   */
+  async function loadWatchlist() {
+    try {
+      watchRules = await Watchlist.loadRules();
+    } catch (error) {
+      console.error('Failed to load watchlist:', error);
+      watchRules = [];
+    }
+
+    if (elements.watchModeSelect && elements.watchModeSelect.options.length === 0) {
+      elements.watchModeSelect.appendChild(new Option(Utils.getMessage('anyMode'), 'any'));
+      Utils.TRACKED_MODES.forEach(mode => {
+        elements.watchModeSelect.appendChild(new Option(Utils.getModeLabel(mode.key), mode.key));
+      });
+    }
+
+    if (elements.watchRuleSelect && elements.watchRuleSelect.options.length === 0) {
+      elements.watchRuleSelect.appendChild(new Option(Utils.getMessage('anyRule'), ''));
+      Watchlist.RULE_NAMES.forEach(rule => {
+        elements.watchRuleSelect.appendChild(new Option(rule, rule));
+      });
+    }
+
+    populateWatchStageOptions();
+    renderWatchlist();
+  }
+
+  /**
+   * Fill the stage picker for the selected watch mode, including stages seen in live data
+   */
+  function populateWatchStageOptions() {
+    if (!elements.watchStagesSelect || !elements.watchModeSelect) return;
+
+    const isCoop = !!Utils.TRACKED_MODES.find(m => m.key === elements.watchModeSelect.value)?.coop;
+    if (elements.watchRuleSelect) {
+      elements.watchRuleSelect.disabled = isCoop;
+      if (isCoop) elements.watchRuleSelect.value = '';
+    }
+
+    const names = [...(isCoop ? Watchlist.KNOWN_STAGES.salmon : Watchlist.KNOWN_STAGES.battle)];
+    const knownIds = names.map(name => Utils.getStageId(name));
+
+    // Add stages from the live schedule that aren't in the built-in list yet
+    const liveModes = Utils.TRACKED_MODES.filter(m => !!m.coop === isCoop).map(m => m.key);
+    liveModes.forEach(modeKey => {
+      Utils.getModeRotations(lastRotationData, modeKey).forEach(rotation => {
+        const stageNames = rotation.stage ? [rotation.stage.name] : (rotation.stages || []).map(s => s.name);
+        stageNames.filter(Boolean).forEach(name => {
+          const stageId = Utils.getStageId(name);
+          if (!knownIds.includes(stageId)) {
+            knownIds.push(stageId);
+            names.push(name);
+          }
+        });
+      });
+    });
+
+    elements.watchStagesSelect.textContent = '';
+    names.sort().forEach(name => {
+      elements.watchStagesSelect.appendChild(new Option(name, name));
+    });
+  }
+
+  /**
+   * Render the list of watch rules with remove buttons
+   */
+  function renderWatchlist() {
+    if (!elements.watchlistList) return;
+
+    elements.watchlistList.textContent = '';
+
+    if (watchRules.length === 0) {
+      setMessage(elements.watchlistList, Utils.getMessage('nothingWatched'), 'no-data');
+      return;
+    }
+
+    watchRules.forEach(watchRule => {
+      const itemEl = document.createElement('div');
+      itemEl.className = 'settings-item';
+
+      const textEl = document.createElement('span');
+      textEl.textContent = Watchlist.describeRule(watchRule);
+      itemEl.appendChild(textEl);
+
+      const removeBtn = document.createElement('button');
+      removeBtn.className = 'settings-item-remove';
+      removeBtn.textContent = '✕';
+      removeBtn.setAttribute('aria-label', Utils.getMessage('removeWatchNamed', textEl.textContent));
+      removeBtn.addEventListener('click', () => removeWatchRule(watchRule.id));
+      itemEl.appendChild(removeBtn);
+
+      elements.watchlistList.appendChild(itemEl);
+    });
+  }
+
+  /**
+   * Add a watch rule from the settings form
+   */
+  async function addWatchRule() {
+    const mode = elements.watchModeSelect.value;
+    const rule = elements.watchRuleSelect.value;
+    const stages = Array.from(elements.watchStagesSelect.selectedOptions).map(option => option.value);
+
+    // A watch with no rule and no stages would match every rotation
+    if (!rule && stages.length === 0) {
+      elements.watchStagesSelect.focus();
+      return;
+    }
+
+    watchRules = [...watchRules, Watchlist.createRule(mode, rule, stages)];
+    await persistWatchlist();
+  }
+
+  /**
+   * Remove a watch rule
+   * @param {string} id Watch rule ID
+   */
+  async function removeWatchRule(id) {
+    watchRules = watchRules.filter(watchRule => watchRule.id !== id);
+    await persistWatchlist();
+  }
+
+  /**
+   * Save the watch rules and refresh everything that depends on them
+   */
+  async function persistWatchlist() {
+    try {
+      await Watchlist.saveRules(watchRules);
+      console.log('Watchlist saved');
+    } catch (error) {
+      console.error('Failed to save watchlist:', error);
+    }
+    renderWatchlist();
+    Array.from(elements.watchStagesSelect.options).forEach(option => { option.selected = false; });
+    displayRotationData();
+  }
+
+  /**
+   * Render one checkbox per tracked mode for the calendar export
+   */
+  function renderExportModes() {
+    if (!elements.exportModes) return;
+
+    elements.exportModes.textContent = '';
+    Utils.TRACKED_MODES.forEach(mode => {
+      const label = document.createElement('label');
+      label.className = 'export-option';
+
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.value = mode.key;
+      checkbox.checked = true;
+      label.appendChild(checkbox);
+
+      const text = document.createElement('span');
+      text.textContent = Utils.getModeLabel(mode.key);
+      label.appendChild(text);
+
+      elements.exportModes.appendChild(label);
+    });
+  }
+
+  /**
+   * Build an .ics file from the cached rotations and download it
+   */
+  async function exportCalendar() {
+    const modes = Array.from(elements.exportModes.querySelectorAll('input:checked')).map(input => input.value);
+    const watchedOnly = elements.exportWatchedOnlyCheckbox?.checked || false;
+
+    if (modes.length === 0) {
+      elements.exportStatus.textContent = Utils.getMessage('exportPickMode');
+      return;
+    }
+    if (watchedOnly && watchRules.length === 0) {
+      elements.exportStatus.textContent = Utils.getMessage('exportWatchlistEmpty');
+      return;
+    }
+
+    try {
+      const { rotationData } = await chrome.storage.local.get(['rotationData']);
+
+      // Made-up rotations must not end up in a shared calendar
+      if (Utils.getGeneratedDataLabel(rotationData)) {
+        elements.exportStatus.textContent = Utils.getMessage('exportGeneratedData');
+        return;
+      }
+
+      const { text, eventCount } = IcsExport.buildCalendar(rotationData, {
+        modes: modes,
+        watchRules: watchedOnly ? watchRules : undefined
+      });
+
+      if (eventCount === 0) {
+        elements.exportStatus.textContent = Utils.getMessage('exportNoMatches');
+        return;
+      }
+
+      const url = URL.createObjectURL(new Blob([text], { type: 'text/calendar;charset=utf-8' }));
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `splatoon3-rotations-${new Date().toISOString().slice(0, 10)}.ics`;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      setTimeout(() => URL.revokeObjectURL(url), 1000);
+
+      elements.exportStatus.textContent = eventCount === 1
+        ? Utils.getMessage('exportDoneOne')
+        : Utils.getMessage('exportDoneMany', String(eventCount));
+    } catch (error) {
+      console.error('Failed to export calendar:', error);
+      elements.exportStatus.textContent = Utils.getMessage('exportFailed');
+    }
+  }
+
+  /**
+   * Get the tracked mode key for the tab being shown
+   * @returns {string} Key from Utils.TRACKED_MODES
+   */
+  function getTrackedModeKey() {
+    return currentMode === 'anarchy' ? anarchySubMode : currentMode;
+  }
+
+  /**
+   * Resolve a rotation to the data a watch rule is matched against
+   * @param {Object} rotation The rotation data
+   * @returns {Object|null} Rotation with the Anarchy sub-mode applied, or null if it can't be watched
+   */
+  function getWatchableRotation(rotation) {
+    // Splatfest battles aren't part of any tracked mode
+    if (rotation.isFest) return null;
+    if (currentMode !== 'anarchy' || !(rotation.series || rotation.open)) return rotation;
+    const subData = rotation[anarchySubMode];
+    return subData ? { ...rotation, rule: subData.rule, stages: subData.stages } : null;
+  }
+
+  /**
+   * Check whether a rotation of the current tab matches the watchlist
+   * @param {Object} rotation The rotation data
+   * @returns {boolean} Whether it is watched
+   */
+  function isRotationWatched(rotation, modeKey = getTrackedModeKey()) {
+    const watchable = getWatchableRotation(rotation);
+    return watchable !== null && Watchlist.isWatched(watchRules, modeKey, watchable);
+  }
+
   /**
    * Display rotation data for the current mode
    */
@@ -349,21 +1319,34 @@ document.addEventListener('DOMContentLoaded', function() {
           elements.lastUpdated.textContent = '';
           const span = document.createElement('span');
           span.className = 'offline-indicator';
-          span.textContent = '⚠ Offline ';
+          span.textContent = `⚠ ${Utils.getMessage('offline')} `;
           elements.lastUpdated.appendChild(span);
           elements.lastUpdated.appendChild(document.createTextNode(timeText));
         } else {
           elements.lastUpdated.textContent = timeText;
         }
       } else {
-        elements.lastUpdated.textContent = 'Never';
+        elements.lastUpdated.textContent = Utils.getMessage('never');
       }
 
       // Display Splatfest banner if applicable
       updateSplatfestBanner(data.rotationData?.splatfest || null);
 
+      // Generated rotations are always labelled as such
+      if (elements.demoBanner) {
+        elements.demoBanner.style.display = data.rotationData?.isDemo ? 'block' : 'none';
+      }
+      if (elements.devBanner) {
+        const devText = RotationView.describeDeveloperMode(data.rotationData || null);
+        elements.devBanner.textContent = devText || '';
+        elements.devBanner.style.display = devText ? 'block' : 'none';
+      }
+      updateTabProblems(data.rotationData?.problems || {});
+
       // Display rotation data
       if (data.rotationData) {
+        lastRotationData = data.rotationData;
+        await loadThumbnails(data.rotationData, data.lastUpdated);
         updateRotationDisplay(data.rotationData);
       } else {
         showLoadingState();
@@ -374,6 +1357,36 @@ document.addEventListener('DOMContentLoaded', function() {
     }
   }
   
+  /**
+   * Mark the tabs of modes the last fetch couldn't read
+   * @param {Object} problems Mode to 'missing', 'invalid' or 'empty', from the rotation data
+   */
+  function updateTabProblems(problems) {
+    elements.tabButtons.forEach(tab => {
+      const problem = problems[tab.dataset.mode];
+      tab.classList.toggle('has-problem', !!problem);
+      tab.title = problem ? Utils.getMessage(`dataProblem_${problem}`) : '';
+    });
+  }
+
+  /**
+   * Load the cached image thumbnails once per data refresh
+   * @param {Object} rotationData Rotation data being shown
+   * @param {string|undefined} lastUpdated ISO time of the refresh it came from
+   */
+  async function loadThumbnails(rotationData, lastUpdated) {
+    if (thumbnailsLoadedFor === lastUpdated) return;
+    try {
+      const loaded = await ImageCache.loadThumbnails(rotationData);
+      ImageCache.releaseThumbnails(thumbnails);
+      thumbnails = loaded;
+      thumbnailsLoadedFor = lastUpdated;
+    } catch (error) {
+      // Cards fall back to the remote images
+      console.error('Failed to load image thumbnails:', error);
+    }
+  }
+
   /**
    * Show skeleton loading state in the UI
    */
@@ -413,6 +1426,15 @@ document.addEventListener('DOMContentLoaded', function() {
 
       container.appendChild(stagesEl);
     });
+
+    if (elements.upcomingRotations) {
+      elements.upcomingRotations.textContent = '';
+      for (let i = 0; i < 3; i++) {
+        const skelRow = document.createElement('div');
+        skelRow.className = 'skeleton skeleton-text';
+        elements.upcomingRotations.appendChild(skelRow);
+      }
+    }
   }
   
   /**
@@ -426,7 +1448,7 @@ document.addEventListener('DOMContentLoaded', function() {
     isRefreshing = true;
     showLoadingState();
     elements.refreshBtn.disabled = true;
-    elements.refreshBtn.textContent = 'Refreshing...';
+    elements.refreshBtn.textContent = Utils.getMessage('refreshing');
 
     try {
       const response = await chrome.runtime.sendMessage({ action: 'fetchRotations' });
@@ -440,10 +1462,11 @@ document.addEventListener('DOMContentLoaded', function() {
     } catch (error) {
       console.error("Failed to refresh data:", error);
       isRefreshing = false;
-      setMessage(elements.currentRotation, 'Failed to refresh data', 'error');
-      setMessage(elements.nextRotation, 'Please try again later', 'error');
+      setMessage(elements.currentRotation, Utils.getMessage('failedToRefresh'), 'error');
+      setMessage(elements.nextRotation, Utils.getMessage('tryAgainLater'), 'error');
+      if (elements.upcomingRotations) elements.upcomingRotations.textContent = '';
       elements.refreshBtn.disabled = false;
-      elements.refreshBtn.textContent = 'Refresh Now';
+      elements.refreshBtn.textContent = Utils.getMessage('refreshNow');
     }
   }
 
@@ -454,7 +1477,7 @@ document.addEventListener('DOMContentLoaded', function() {
   function startRefreshCooldown(seconds) {
     let remaining = seconds;
     elements.refreshBtn.disabled = true;
-    elements.refreshBtn.textContent = `Refresh (${remaining}s)`;
+    elements.refreshBtn.textContent = Utils.getMessage('refreshCooldown', String(remaining));
 
     if (refreshCooldownInterval) clearInterval(refreshCooldownInterval);
 
@@ -464,9 +1487,9 @@ document.addEventListener('DOMContentLoaded', function() {
         clearInterval(refreshCooldownInterval);
         refreshCooldownInterval = null;
         elements.refreshBtn.disabled = false;
-        elements.refreshBtn.textContent = 'Refresh Now';
+        elements.refreshBtn.textContent = Utils.getMessage('refreshNow');
       } else {
-        elements.refreshBtn.textContent = `Refresh (${remaining}s)`;
+        elements.refreshBtn.textContent = Utils.getMessage('refreshCooldown', String(remaining));
       }
     }, 1000);
   }
@@ -476,11 +1499,12 @@ document.addEventListener('DOMContentLoaded', function() {
    * @param {Object} data Rotation data
    */
   function updateRotationDisplay(data) {
-    const modeData = data[currentMode];
+    const modeData = RotationView.withFestRotations(data, currentMode);
     
     if (!modeData) {
-      setMessage(elements.currentRotation, 'No data available', 'error');
-      setMessage(elements.nextRotation, 'No data available', 'error');
+      setMessage(elements.currentRotation, Utils.getMessage('noData'), 'error');
+      setMessage(elements.nextRotation, Utils.getMessage('noData'), 'error');
+      if (elements.upcomingRotations) elements.upcomingRotations.textContent = '';
       return;
     }
     
@@ -489,40 +1513,76 @@ document.addEventListener('DOMContentLoaded', function() {
       updateBackgroundForMode(currentMode);
       isFirstLoad = false;
     }
+
+    // The Series/Open switch only applies to the Anarchy tab, and not to Splatfest Pro
+    if (elements.anarchySubtabs) {
+      const festOnly = [modeData.current, modeData.next].every(rotation => !rotation || rotation.isFest);
+      elements.anarchySubtabs.style.display = currentMode === 'anarchy' && !festOnly ? 'flex' : 'none';
+    }
     
     // Clear previous content
     elements.currentRotation.textContent = '';
     elements.nextRotation.textContent = '';
     
+    // Remember which rotation each card shows, so address bar links can find it
+    elements.currentRotation.dataset.startTime = modeData.current?.startTime || '';
+    elements.nextRotation.dataset.startTime = modeData.next?.startTime || '';
+
+    // A schedule the last fetch couldn't read says so instead of looking empty
+    const problem = data.problems?.[currentMode];
+
     // Show current rotation
     if (modeData.current) {
       const rotationElement = createRotationElement(modeData.current, currentMode, true);
       elements.currentRotation.appendChild(rotationElement);
+    } else if (problem) {
+      setMessage(elements.currentRotation, Utils.getMessage(`dataProblem_${problem}`), 'error');
     } else {
-      setMessage(elements.currentRotation, 'No current rotation found', 'no-data');
+      setMessage(elements.currentRotation, Utils.getMessage('noCurrentRotation'), 'no-data');
     }
 
     // Show next rotation
     if (modeData.next) {
       const rotationElement = createRotationElement(modeData.next, currentMode, false);
       elements.nextRotation.appendChild(rotationElement);
+    } else if (problem) {
+      setMessage(elements.nextRotation, Utils.getMessage('dataProblemRetry'), 'error');
     } else {
-      setMessage(elements.nextRotation, 'No upcoming rotation found', 'no-data');
+      setMessage(elements.nextRotation, Utils.getMessage('noUpcomingRotation'), 'no-data');
     }
 
+    // Splatfest battles are framed in the team colours
+    elements.currentRotation.classList.toggle('fest-rotation', !!modeData.current?.isFest);
+    elements.nextRotation.classList.toggle('fest-rotation', !!modeData.next?.isFest);
+
+    // Highlight cards that match the watchlist
+    elements.currentRotation.classList.toggle('watched', !!modeData.current && isRotationWatched(modeData.current));
+    elements.nextRotation.classList.toggle('watched', !!modeData.next && isRotationWatched(modeData.next));
+
+    // Eggstra Work contests run alongside regular shifts, so they get their own card
+    updateEggstraDisplay(currentMode === 'salmon' ? modeData.eggstra : null);
+
+    // Show the rest of the timeline after the next rotation
+    updateUpcomingTimeline(modeData.upcoming || []);
+
     // Add rule type icons
-    addRuleIcons();
+    RotationView.addRuleIcons();
 
     // Load stage images with remote fallback
-    loadStageImages();
+    RotationView.loadStageImages();
 
-    // Flash effect only on actual data refresh, not tab switches
+    // Scroll to the rotation picked in the address bar
+    focusLinkedRotation();
+
+    // Flash effect only on actual data refresh, not tab switches, and not when motion is reduced
     if (isRefreshing) {
       isRefreshing = false;
-      [elements.currentRotation, elements.nextRotation].forEach(el => {
-        el.classList.add('refresh-flash');
-        setTimeout(() => el.classList.remove('refresh-flash'), 600);
-      });
+      if (!Theme.isReducedMotion()) {
+        [elements.currentRotation, elements.nextRotation].forEach(el => {
+          el.classList.add('refresh-flash');
+          setTimeout(() => el.classList.remove('refresh-flash'), 600);
+        });
+      }
     }
 
     // Start countdown timer
@@ -530,420 +1590,164 @@ document.addEventListener('DOMContentLoaded', function() {
   }
   
   /**
-   * Creates and returns a DOM element for a single rotation.
+   * Creates the DOM nodes for a single rotation of the popup's tabs.
    * @param {Object} rotation - The rotation data.
    * @param {string} mode - The current game mode.
    * @param {boolean} isCurrent - Whether this is the current rotation (for countdown).
    * @returns {DocumentFragment} - A fragment containing the rotation's DOM nodes.
    */
   function createRotationElement(rotation, mode, isCurrent = false) {
-    const fragment = document.createDocumentFragment();
-
-    // Time range with countdown
-    const timeRangeEl = document.createElement('div');
-    timeRangeEl.className = 'time-range';
-
-    const timeTextEl = document.createElement('span');
-    timeTextEl.textContent = Utils.formatTimeRange(rotation.startTime, rotation.endTime);
-    timeRangeEl.appendChild(timeTextEl);
-
-    // Add countdown
-    const countdownEl = document.createElement('span');
-    countdownEl.className = 'countdown';
-    if (isCurrent) {
-      countdownEl.dataset.endTime = rotation.endTime;
-    } else {
-      countdownEl.dataset.startTime = rotation.startTime;
-    }
-    timeRangeEl.appendChild(countdownEl);
-
-    fragment.appendChild(timeRangeEl);
+    return RotationView.createRotationElement(rotation, mode, isCurrent, {
+      subMode: anarchySubMode,
+      splatfest: lastRotationData?.splatfest,
+      // Demo rotations never notify, so they get no reminder bells
+      createRemindButton: lastRotationData?.isDemo || lastRotationData?.scenario ? null : createRemindButton,
+      thumbnails
+    });
+  }
+  
+  /**
+   * Show the open (or next announced) Eggstra Work contest, if any
+   * @param {Object|null} eggstra Eggstra Work timeline from the Salmon Run data
+   */
+  function updateEggstraDisplay(eggstra) {
+    if (!elements.eggstraSection || !elements.eggstraRotation) return;
+
+    const contest = eggstra?.current || eggstra?.next || null;
+    elements.eggstraSection.style.display = contest ? 'block' : 'none';
+    elements.eggstraRotation.textContent = '';
+    if (!contest) return;
+
+    const isOpen = contest === eggstra.current;
+    elements.eggstraRotation.dataset.startTime = contest.startTime;
+    elements.eggstraRotation.appendChild(createRotationElement(contest, 'salmon', isOpen));
+    elements.eggstraRotation.classList.toggle('watched', isRotationWatched(contest, 'eggstra'));
+  }
 
-    if (mode === 'challenge') {
-      // Challenge/Event mode
-      if (rotation.eventName) {
-        const eventNameEl = document.createElement('div');
-        eventNameEl.className = 'event-name';
-        eventNameEl.textContent = rotation.eventName;
-        fragment.appendChild(eventNameEl);
-      }
+  /**
+   * Render the scrollable timeline of rotations that follow the next one
+   * @param {Array} upcoming All upcoming rotations for the current mode, soonest first
+   */
+  function updateUpcomingTimeline(upcoming) {
+    if (!elements.upcomingRotations) return;
 
-      if (rotation.eventDesc) {
-        const eventDescEl = document.createElement('div');
-        eventDescEl.className = 'event-desc';
-        eventDescEl.textContent = rotation.eventDesc;
-        fragment.appendChild(eventDescEl);
-      }
+    elements.upcomingRotations.textContent = '';
 
-      const ruleName = rotation.rule?.name || 'Unknown Mode';
-      const ruleNameEl = document.createElement('div');
-      ruleNameEl.className = 'rule-name';
-      ruleNameEl.textContent = ruleName;
-      fragment.appendChild(ruleNameEl);
+    // The first upcoming rotation is already shown in the "Next Rotation" card
+    const later = upcoming.slice(1);
+    if (later.length === 0) {
+      setMessage(elements.upcomingRotations, Utils.getMessage('noFurtherRotations'), 'no-data');
+      return;
+    }
 
-      const stagesEl = document.createElement('div');
-      stagesEl.className = 'stages';
+    later.forEach(rotation => {
+      elements.upcomingRotations.appendChild(createTimelineItem(rotation, currentMode));
+    });
+  }
 
-      (rotation.stages || []).forEach(stageData => {
-        const stageEl = document.createElement('div');
-        stageEl.className = 'stage';
+  /**
+   * Creates a compact timeline row for an upcoming rotation.
+   * @param {Object} rotation - The rotation data.
+   * @param {string} mode - The current game mode.
+   * @returns {HTMLElement} - The timeline row element.
+   */
+  function createTimelineItem(rotation, mode) {
+    const itemEl = document.createElement('div');
+    itemEl.className = 'timeline-item';
+    itemEl.dataset.startTime = rotation.startTime;
+    if (isRotationWatched(rotation)) {
+      itemEl.classList.add('watched');
+    }
 
-        const stageName = stageData.name || 'Unknown Stage';
-        const stageImageUrl = stageData.image || null;
-        const stageId = Utils.getStageId(stageName);
+    const timeEl = document.createElement('div');
+    timeEl.className = 'timeline-time';
 
-        const imgContainer = document.createElement('div');
-        imgContainer.className = 'stage-img-container';
+    const timeTextEl = document.createElement('span');
+    timeTextEl.textContent = Utils.formatTimeRange(rotation.startTime, rotation.endTime, { withFriendZones: false });
+    timeEl.appendChild(timeTextEl);
+    // Demo and scenario rotations can't have reminders, nor can Anarchy rows without the chosen sub-mode
+    const hasSubModeRotation = mode !== 'anarchy' || Boolean(rotation[anarchySubMode]);
+    if (!rotation.isFest && hasSubModeRotation && !lastRotationData?.isDemo && !lastRotationData?.scenario) {
+      timeEl.appendChild(createRemindButton(rotation));
+    }
 
-        const img = new Image();
-        img.className = 'stage-img';
-        img.dataset.stage = stageId;
-        img.dataset.mode = 'challenge';
-        img.dataset.remoteUrl = stageImageUrl || '';
-        img.alt = stageName;
-        img.src = `images/stages/shared/${stageId}.jpg`;
+    itemEl.appendChild(timeEl);
 
-        imgContainer.appendChild(img);
-        stageEl.appendChild(imgContainer);
+    const friendTimesEl = RotationView.createFriendTimesElement(rotation);
+    if (friendTimesEl) itemEl.appendChild(friendTimesEl);
 
-        const nameEl = document.createElement('div');
-        nameEl.className = 'stage-name';
-        nameEl.textContent = stageName;
-        stageEl.appendChild(nameEl);
+    // Each line is a rule (or label) followed by the stage names
+    const lines = [];
 
-        stagesEl.appendChild(stageEl);
+    if (mode === 'salmon') {
+      const weapons = (rotation.weapons || [])
+        .map(w => Locale.weaponName(w))
+        .join(', ');
+      lines.push({
+        badge: rotation.isBigRun ? Utils.getMessage('bigRun') : null,
+        rule: Locale.stageName(rotation.stage),
+        stages: weapons || Utils.getMessage('noWeaponData')
+      });
+    } else if (rotation.isFest) {
+      lines.push({
+        label: rotation.festLabel,
+        rule: rotation.rule,
+        stages: rotation.stages
       });
-
-      fragment.appendChild(stagesEl);
-    } else if (mode === 'salmon') {
-      // Salmon Run specific logic
-      const stageName = rotation.stage?.name || 'Unknown Stage';
-      const stageImageUrl = rotation.stage?.image || null;
-      const stageId = Utils.getStageId(stageName);
-      const isBigRun = rotation.isBigRun;
-
-      // Create mode info section
-      const modeInfoEl = document.createElement('div');
-      modeInfoEl.className = 'mode-info';
-
-      if (isBigRun) {
-        const bigRunBadge = document.createElement('div');
-        bigRunBadge.className = 'big-run-badge';
-        bigRunBadge.textContent = 'Big Run';
-        modeInfoEl.appendChild(bigRunBadge);
-      }
-
-      const ruleNameEl = document.createElement('div');
-      ruleNameEl.className = 'rule-name';
-      ruleNameEl.textContent = 'Salmon Run';
-      modeInfoEl.appendChild(ruleNameEl);
-      fragment.appendChild(modeInfoEl);
-
-      // Create stage section
-      const stageEl = document.createElement('div');
-      stageEl.className = 'stage';
-
-      const imgContainer = document.createElement('div');
-      imgContainer.className = 'stage-img-container';
-
-      const img = new Image();
-      img.className = 'stage-img';
-      img.dataset.stage = stageId;
-      img.dataset.mode = 'salmon';
-      img.dataset.remoteUrl = stageImageUrl || '';
-      img.alt = stageName;
-      img.src = `images/stages/salmon/${stageId}.jpg`;
-
-      imgContainer.appendChild(img);
-      stageEl.appendChild(imgContainer);
-
-      const nameEl = document.createElement('div');
-      nameEl.className = 'stage-name';
-      nameEl.textContent = stageName;
-      stageEl.appendChild(nameEl);
-      fragment.appendChild(stageEl);
-
-      // Create weapons section with images
-      const weaponsEl = document.createElement('div');
-      weaponsEl.className = 'salmon-weapons';
-
-      const weapons = rotation.weapons || [];
-      if (weapons.length > 0) {
-        weapons.forEach(weapon => {
-          const weaponName = (typeof weapon === 'object' && weapon !== null) ? weapon.name : weapon;
-          const weaponImage = (typeof weapon === 'object' && weapon !== null) ? weapon.image : null;
-
-          const weaponEl = document.createElement('div');
-          weaponEl.className = 'weapon';
-
-          if (weaponImage) {
-            const weaponImg = new Image();
-            weaponImg.className = 'weapon-img';
-            weaponImg.src = weaponImage;
-            weaponImg.alt = weaponName || 'Weapon';
-            weaponImg.onerror = function() {
-              // Hide image on error, show text only
-              this.style.display = 'none';
-            };
-            weaponEl.appendChild(weaponImg);
-          }
-
-          const weaponNameEl = document.createElement('span');
-          weaponNameEl.className = 'weapon-name';
-          weaponNameEl.textContent = weaponName || 'Unknown';
-          weaponEl.appendChild(weaponNameEl);
-
-          weaponsEl.appendChild(weaponEl);
-        });
-      } else {
-        const noWeaponEl = document.createElement('div');
-        noWeaponEl.className = 'weapon';
-        noWeaponEl.textContent = 'No weapon data';
-        weaponsEl.appendChild(noWeaponEl);
-      }
-
-      fragment.appendChild(weaponsEl);
-
-      // Add King Salmonid (Boss) display if available
-      if (rotation.boss) {
-        const bossEl = document.createElement('div');
-        bossEl.className = 'salmon-boss';
-
-        const bossLabel = document.createElement('span');
-        bossLabel.className = 'boss-label';
-        bossLabel.textContent = 'King Salmonid: ';
-        bossEl.appendChild(bossLabel);
-
-        if (rotation.bossImage) {
-          const bossImg = new Image();
-          bossImg.className = 'boss-img';
-          bossImg.src = rotation.bossImage;
-          bossImg.alt = rotation.boss;
-          bossImg.onerror = function() {
-            this.style.display = 'none';
-          };
-          bossEl.appendChild(bossImg);
-        }
-
-        const bossName = document.createElement('span');
-        bossName.className = 'boss-name';
-        bossName.textContent = rotation.boss;
-        bossEl.appendChild(bossName);
-
-        fragment.appendChild(bossEl);
-      }
     } else if (mode === 'anarchy' && (rotation.series || rotation.open)) {
-      // Anarchy mode - show both Series and Open
-      const subModes = [];
-      if (rotation.series) subModes.push({ label: 'Series', data: rotation.series });
-      if (rotation.open) subModes.push({ label: 'Open', data: rotation.open });
-
-      subModes.forEach(sub => {
-        const subSection = document.createElement('div');
-        subSection.className = 'anarchy-sub-mode';
-
-        const subLabel = document.createElement('div');
-        subLabel.className = 'anarchy-sub-label';
-        subLabel.textContent = sub.label;
-        subSection.appendChild(subLabel);
-
-        const ruleNameEl = document.createElement('div');
-        ruleNameEl.className = 'rule-name';
-        ruleNameEl.textContent = sub.data.rule?.name || 'Unknown Mode';
-        subSection.appendChild(ruleNameEl);
-
-        const stagesEl = document.createElement('div');
-        stagesEl.className = 'stages';
-
-        (sub.data.stages || []).forEach(stageData => {
-          const stageEl = document.createElement('div');
-          stageEl.className = 'stage';
-
-          const stageName = stageData.name || 'Unknown Stage';
-          const stageImageUrl = stageData.image || null;
-          const stageId = Utils.getStageId(stageName);
-
-          const imgContainer = document.createElement('div');
-          imgContainer.className = 'stage-img-container';
-
-          const img = new Image();
-          img.className = 'stage-img';
-          img.dataset.stage = stageId;
-          img.dataset.mode = 'anarchy';
-          img.dataset.remoteUrl = stageImageUrl || '';
-          img.alt = stageName;
-          img.src = `images/stages/anarchy/${stageId}.jpg`;
-
-          imgContainer.appendChild(img);
-          stageEl.appendChild(imgContainer);
-
-          const nameEl = document.createElement('div');
-          nameEl.className = 'stage-name';
-          nameEl.textContent = stageName;
-          stageEl.appendChild(nameEl);
-
-          stagesEl.appendChild(stageEl);
-        });
-
-        subSection.appendChild(stagesEl);
-        fragment.appendChild(subSection);
+      const subData = rotation[anarchySubMode];
+      lines.push({
+        rule: subData ? subData.rule : Utils.getMessage('noSubModeRotation', Utils.getMessage(anarchySubMode === 'open' ? 'subModeOpen' : 'subModeSeries')),
+        stages: subData?.stages || []
       });
     } else {
-      // Battle modes (regular, xbattle)
-      const ruleName = rotation.rule?.name || 'Unknown Mode';
-
-      const ruleNameEl = document.createElement('div');
-      ruleNameEl.className = 'rule-name';
-      ruleNameEl.textContent = ruleName;
-      fragment.appendChild(ruleNameEl);
-
-      const stagesEl = document.createElement('div');
-      stagesEl.className = 'stages';
-
-      (rotation.stages || []).forEach(stageData => {
-        const stageEl = document.createElement('div');
-        stageEl.className = 'stage';
-
-        const stageName = stageData.name || 'Unknown Stage';
-        const stageImageUrl = stageData.image || null;
-        const stageId = Utils.getStageId(stageName);
-
-        const imgContainer = document.createElement('div');
-        imgContainer.className = 'stage-img-container';
-
-        const img = new Image();
-        img.className = 'stage-img';
-        img.dataset.stage = stageId;
-        img.dataset.mode = mode;
-        img.dataset.remoteUrl = stageImageUrl || '';
-        img.alt = stageName;
-        img.src = `images/stages/${mode}/${stageId}.jpg`;
-
-        imgContainer.appendChild(img);
-        stageEl.appendChild(imgContainer);
-
-        const nameEl = document.createElement('div');
-        nameEl.className = 'stage-name';
-        nameEl.textContent = stageName;
-        stageEl.appendChild(nameEl);
-
-        stagesEl.appendChild(stageEl);
+      lines.push({
+        label: mode === 'challenge' ? Locale.eventText(rotation).name : null,
+        rule: rotation.rule,
+        stages: rotation.stages
       });
-
-      fragment.appendChild(stagesEl);
     }
 
-    return fragment;
-  }
-  
-  /**
-   * Add small rule-type icons before rule names for quick visual identification
-   */
-  function addRuleIcons() {
-    const ruleIconMap = {
-      'turf war': { cls: 'rule-icon-tw', label: 'TW' },
-      'splat zones': { cls: 'rule-icon-sz', label: 'SZ' },
-      'tower control': { cls: 'rule-icon-tc', label: 'TC' },
-      'rainmaker': { cls: 'rule-icon-rm', label: 'RM' },
-      'clam blitz': { cls: 'rule-icon-cb', label: 'CB' },
-    };
+    lines.forEach(line => {
+      const lineEl = document.createElement('div');
+      lineEl.className = 'timeline-line';
 
-    document.querySelectorAll('.rule-name').forEach(el => {
-      const text = el.textContent.toLowerCase().trim();
-      const iconInfo = ruleIconMap[text];
-      if (iconInfo) {
-        const icon = document.createElement('span');
-        icon.className = `rule-icon ${iconInfo.cls}`;
-        icon.textContent = iconInfo.label;
-        el.prepend(icon);
+      if (line.label) {
+        const labelEl = document.createElement('span');
+        labelEl.className = 'timeline-label';
+        labelEl.textContent = line.label;
+        lineEl.appendChild(labelEl);
       }
-    });
-  }
 
-  /**
-   * Load stage images and handle errors with improved fallback chain including remote URLs
-   */
-  function loadStageImages() {
-    // Data URI fallback for when all image files fail
-    const placeholderDataURI = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAGQAAABkCAYAAABw4pVUAAAABmJLR0QA/wD/AP+gvaeTAAAA30lEQVR4nO3bQQqDMBRAwcbsev9+F92UgimBTCD2zVk8/CJCGgYAAAAAAAD+x3P2AwDSKCRMIWEKCVNImELCFBKmkDCFhCkkTCFhCglTSJhCwhQSppAwhYQpJEwhYQoJU0iYQsIUEqaQMIWEDTP3LnUfbY6/Y+bH6pn7XdvufS9WFPJHrtqfQsIUEqaQMIWEKSRMIWEKCVNImELCFBKmkDCFhO0e+/ed9XPb1b8gCglTSJhCwhQSppAwhYQpJEwhYQoJU0iYQsIUEqaQMIWEKSRMIWEKCVNImELCFBKmEAAAAAAA4GQvNlEPdQq58VQAAAAASUVORK5CYII=';
-
-    document.querySelectorAll('.stage-img').forEach(img => {
-      const stageId = img.dataset.stage;
-      const mode = img.dataset.mode;
-      const remoteUrl = img.dataset.remoteUrl;
-      const originalSrc = img.src;
-
-      // Set comprehensive error handler with remote fallback
-      img.onerror = function() {
-        console.debug(`Image failed: ${this.src} | stage: "${stageId}" | mode: "${mode}" | remoteUrl: ${remoteUrl || 'none'}`);
-
-        // First fallback: try shared directory
-        if (!this.src.includes('/shared/') && !this.src.includes('splatoon3.ink')) {
-          console.debug(`Trying shared fallback for: ${stageId}`);
-          this.src = `images/stages/shared/${stageId}.jpg`;
-
-          this.onerror = function() {
-            // Second fallback: try remote URL from API if available
-            if (remoteUrl && !this.src.includes('splatoon3.ink')) {
-              console.debug(`Trying remote URL for: ${stageId} -> ${remoteUrl}`);
-              this.src = remoteUrl;
-
-              this.onerror = function() {
-                // Third fallback: try placeholder file
-                console.debug(`Remote failed for: ${stageId}, trying placeholder`);
-                this.src = 'images/stages/placeholder.jpg';
-
-                this.onerror = function() {
-                  console.warn(`All image fallbacks failed for stage: ${stageId}`);
-                  this.src = placeholderDataURI;
-                  this.title = `Image not available for ${stageId}`;
-                  this.onerror = null;
-                };
-              };
-            } else {
-              // No remote URL, skip to placeholder
-              console.debug(`Shared failed for: ${stageId}, trying placeholder`);
-              this.src = 'images/stages/placeholder.jpg';
-
-              this.onerror = function() {
-                console.warn(`All image fallbacks failed for stage: ${stageId}`);
-                this.src = placeholderDataURI;
-                this.title = `Image not available for ${stageId}`;
-                this.onerror = null;
-              };
-            }
-          };
-        } else if (this.src.includes('splatoon3.ink')) {
-          // Remote URL failed, go to placeholder
-          console.debug(`Remote URL failed for: ${stageId}, trying placeholder`);
-          this.src = 'images/stages/placeholder.jpg';
-
-          this.onerror = function() {
-            console.warn(`All image fallbacks failed for stage: ${stageId}`);
-            this.src = placeholderDataURI;
-            this.title = `Image not available for ${stageId}`;
-            this.onerror = null;
-          };
-        } else {
-          // Already tried shared, go to placeholder
-          this.src = 'images/stages/placeholder.jpg';
-
-          this.onerror = function() {
-            console.warn(`All image fallbacks failed for stage: ${stageId}`);
-            this.src = placeholderDataURI;
-            this.title = `Image not available for ${stageId}`;
-            this.onerror = null;
-          };
-        }
-      };
+      if (line.badge) {
+        const badgeEl = document.createElement('span');
+        badgeEl.className = 'big-run-badge';
+        badgeEl.textContent = line.badge;
+        lineEl.appendChild(badgeEl);
+      }
 
-      // Log successful image loads for debugging
-      img.onload = function() {
-        if (this.src !== originalSrc) {
-          console.log(`Image loaded successfully using fallback: ${this.src} for stage: ${stageId}`);
-        }
-      };
+      // The rule is either a rule object from the API or ready-made text
+      const ruleEl = document.createElement('span');
+      ruleEl.className = 'timeline-rule';
+      if (typeof line.rule === 'string') {
+        ruleEl.textContent = line.rule;
+      } else {
+        ruleEl.dataset.rule = line.rule?.name || '';
+        ruleEl.textContent = Locale.ruleName(line.rule);
+      }
+      lineEl.appendChild(ruleEl);
+
+      const stagesEl = document.createElement('span');
+      stagesEl.className = 'timeline-stages';
+      stagesEl.textContent = Array.isArray(line.stages)
+        ? line.stages.map(stage => Locale.stageName(stage)).join(' / ')
+        : line.stages;
+      lineEl.appendChild(stagesEl);
+
+      itemEl.appendChild(lineEl);
     });
+
+    return itemEl;
   }
 
   /**
@@ -966,39 +1770,8 @@ document.addEventListener('DOMContentLoaded', function() {
    * Update all countdown elements, auto-refresh when rotation ends
    */
   function updateCountdowns() {
-    const now = Date.now();
-    let anyEnded = false;
-
-    document.querySelectorAll('.countdown').forEach(el => {
-      const endTime = el.dataset.endTime;
-      const startTime = el.dataset.startTime;
-
-      if (endTime) {
-        // Current rotation - show "Ends in X"
-        const remaining = new Date(endTime).getTime() - now;
-        if (remaining > 0) {
-          el.textContent = ` (${formatCountdown(remaining)} left)`;
-          el.classList.remove('countdown-soon', 'countdown-ended');
-          // Add warning class if less than 15 minutes
-          if (remaining < 15 * 60 * 1000) {
-            el.classList.add('countdown-soon');
-          }
-        } else {
-          el.textContent = ' (Updating...)';
-          el.classList.add('countdown-ended');
-          anyEnded = true;
-        }
-      } else if (startTime) {
-        // Next rotation - show "Starts in X"
-        const remaining = new Date(startTime).getTime() - now;
-        if (remaining > 0) {
-          el.textContent = ` (in ${formatCountdown(remaining)})`;
-        } else {
-          el.textContent = ' (Starting now)';
-          anyEnded = true;
-        }
-      }
-    });
+    const anyEnded = RotationView.updateCountdowns();
+    announceCountdown();
 
     // Auto-refresh when a rotation ends (debounced - only fires once)
     if (anyEnded && !hasTriggeredAutoRefresh) {
@@ -1008,29 +1781,33 @@ document.addEventListener('DOMContentLoaded', function() {
     }
   }
 
+  /**
+   * Read the current rotation's time left out through the polite live region
+   * Only on a new tab or rotation and at a few milestones, so screen readers aren't interrupted every second
+   */
+  function announceCountdown() {
+    if (!elements.countdownStatus) return;
+
+    const endTime = elements.currentRotation.querySelector('.countdown')?.dataset.endTime;
+    if (!endTime) return;
+
+    const remaining = new Date(endTime).getTime() - Utils.now();
+    const milestone = remaining <= 0
+      ? 'ended'
+      : COUNTDOWN_ANNOUNCE_MINUTES.filter(minutes => remaining <= minutes * 60 * 1000).pop() || 'start';
+    const key = `${getTrackedModeKey()}|${endTime}|${milestone}`;
+    if (key === lastCountdownAnnouncement) return;
+    lastCountdownAnnouncement = key;
+
+    const modeLabel = Utils.getModeLabel(getTrackedModeKey());
+    elements.countdownStatus.textContent = remaining > 0
+      ? Utils.getMessage('countdownAnnouncement', [modeLabel, RotationView.formatCountdown(remaining)])
+      : `${modeLabel}: ${Utils.getMessage('countdownUpdating')}`;
+  }
+
   // Clean up intervals when popup closes
   window.addEventListener('beforeunload', () => {
     if (countdownInterval) clearInterval(countdownInterval);
     if (refreshCooldownInterval) clearInterval(refreshCooldownInterval);
   });
-
-  /**
-   * Format a countdown duration into human-readable string
-   * @param {number} ms Milliseconds remaining
-   * @returns {string} Formatted string like "1h 23m" or "45m 30s"
-   */
-  function formatCountdown(ms) {
-    const totalSeconds = Math.floor(ms / 1000);
-    const hours = Math.floor(totalSeconds / 3600);
-    const minutes = Math.floor((totalSeconds % 3600) / 60);
-    const seconds = totalSeconds % 60;
-
-    if (hours > 0) {
-      return `${hours}h ${minutes}m`;
-    } else if (minutes > 0) {
-      return `${minutes}m ${seconds}s`;
-    } else {
-      return `${seconds}s`;
-    }
-  }
 });
\ No newline at end of file
@@ -0,0 +1,320 @@
+/**
+ * Splatoon 3 Rotation Tracker - Pre-rotation Reminders
+ * Schedules chrome.alarms that fire a configurable number of minutes before rotations start.
+ */
+
+// Ensure utils are available
+if (typeof Utils === 'undefined') {
+  try {
+    importScripts('utils.js');
+  } catch (e) {
+    // In popup context, this will be loaded by popup.html
+    console.log('Utils will be loaded by popup.html');
+  }
+}
+
+// Alarm names look like "reminder|<modeKey>|<startTime>"
+const REMINDER_ALARM_PREFIX = 'reminder|';
+
+// One-off reminders set from a rotation card: "custom|<modeKey>|<startTime>"
+const CUSTOM_REMINDER_PREFIX = 'custom|';
+
+// Lead times offered in settings (minutes, 0 = off)
+const LEAD_TIME_OPTIONS = [0, 5, 10, 15, 30, 60];
+
+// Lead time for one-off reminders when the mode has no lead time configured
+const DEFAULT_CUSTOM_LEAD_MINUTES = 5;
+
+/**
+ * Load the per-mode lead times from storage
+ * @returns {Promise<Object>} Map of tracked mode key to lead time in minutes
+ */
+async function loadLeadTimes() {
+  const data = await chrome.storage.sync.get(['reminderLeadTimes']);
+  return data.reminderLeadTimes || {};
+}
+
+/**
+ * Work out which reminder alarms should exist for the given data
+ * @param {Object} rotationData Processed rotation data
+ * @param {Object} leadTimes Map of tracked mode key to lead time in minutes
+ * @param {number} now Current time in ms
+ * @returns {Array} Alarms to create, as { name, when }
+ */
+function planReminders(rotationData, leadTimes, now) {
+  const plan = [];
+
+  for (const mode of Utils.TRACKED_MODES) {
+    const leadMinutes = Number(leadTimes[mode.key]) || 0;
+    if (leadMinutes <= 0) continue;
+
+    for (const rotation of Utils.getModeRotations(rotationData, mode.key)) {
+      const when = new Date(rotation.startTime).getTime() - leadMinutes * 60 * 1000;
+      // Rotations already running (or about to) are too late to remind about
+      if (when <= now) continue;
+
+      plan.push({ name: `${REMINDER_ALARM_PREFIX}${mode.key}|${rotation.startTime}`, when });
+    }
+  }
+
+  return plan;
+}
+
+/**
+ * Replace all reminder alarms with ones matching the latest data and settings
+ * @param {Object} rotationData Processed rotation data
+ */
+async function scheduleReminders(rotationData) {
+  const existing = await chrome.alarms.getAll();
+  await Promise.all(existing
+    .filter(alarm => alarm.name.startsWith(REMINDER_ALARM_PREFIX))
+    .map(alarm => chrome.alarms.clear(alarm.name)));
+
+  // Demo and scenario rotations never notify
+  if (!rotationData || rotationData.isDemo || rotationData.scenario) return;
+
+  const leadTimes = await loadLeadTimes();
+  const plan = planReminders(rotationData, leadTimes, Utils.now());
+
+  for (const reminder of plan) {
+    chrome.alarms.create(reminder.name, { when: Utils.toRealTime(reminder.when) });
+  }
+
+  console.log(`Scheduled ${plan.length} rotation reminder(s)`);
+}
+
+/**
+ * Check whether an alarm belongs to the reminder system
+ * @param {Object} alarm chrome.alarms alarm
+ * @returns {boolean} Whether it is a reminder alarm
+ */
+function isReminderAlarm(alarm) {
+  return alarm.name.startsWith(REMINDER_ALARM_PREFIX);
+}
+
+/**
+ * Build notification text for a rotation that is about to start
+ * @param {Object} mode Entry from Utils.TRACKED_MODES
+ * @param {Object} rotation Rotation data
+ * @param {number} minutesLeft Minutes until the rotation starts
+ * @returns {Object} Notification title and message
+ */
+function describeReminder(mode, rotation, minutesLeft) {
+  const title = Utils.getMessage('reminderStartsIn', [Utils.getModeLabel(mode.key), String(minutesLeft)]);
+  let message;
+
+  if (mode.coop) {
+    const stageName = Locale.stageName(rotation.stage);
+    message = Utils.getMessage(rotation.isBigRun ? 'notifyBigRunStage' : 'notifyStage', stageName);
+  } else {
+    const stageNames = rotation.stages?.map(s => Locale.stageName(s)).join(', ') || Utils.getMessage('notAvailable');
+    message = Utils.getMessage('notifyBattle', [Locale.ruleName(rotation.rule), stageNames]);
+  }
+
+  return { title, message: `${message}\n${Utils.formatTimeRange(rotation.startTime, rotation.endTime)}` };
+}
+
+/**
+ * Send the notification for a fired reminder alarm
+ * Rotation details are read from storage, so this works after a service worker restart
+ * @param {Object} alarm chrome.alarms alarm
+ */
+async function handleReminderAlarm(alarm) {
+  const [, modeKey, startTime] = alarm.name.split('|');
+  const mode = Utils.TRACKED_MODES.find(m => m.key === modeKey);
+  if (!mode) return;
+
+  const settings = await chrome.storage.sync.get(['enableNotifications']);
+  if (!settings.enableNotifications) {
+    console.log('Notifications are disabled globally, skipping reminder.');
+    return;
+  }
+
+  const { rotationData } = await chrome.storage.local.get(['rotationData']);
+  if (rotationData?.isDemo || rotationData?.scenario) return;
+  const rotation = Utils.getModeRotations(rotationData, modeKey).find(r => r.startTime === startTime);
+  if (!rotation) {
+    console.warn(`Reminder fired for unknown rotation: ${alarm.name}`);
+    return;
+  }
+
+  const minutesLeft = Math.max(0, Math.round((new Date(startTime).getTime() - Utils.now()) / 60000));
+  const { title, message } = describeReminder(mode, rotation, minutesLeft);
+
+  chrome.notifications.create(`reminder-${modeKey}-${startTime}`, {
+    type: 'basic',
+    iconUrl: 'images/icon128.png',
+    title: title,
+    message: message,
+    priority: 1
+  });
+  console.log(`Reminder sent for ${mode.label} at ${startTime}`);
+}
+
+/**
+ * Get the ID (and alarm name) of a one-off reminder
+ * @param {string} modeKey Tracked mode key
+ * @param {string} startTime Rotation start time
+ * @returns {string} Reminder ID
+ */
+function getCustomReminderId(modeKey, startTime) {
+  return `${CUSTOM_REMINDER_PREFIX}${modeKey}|${startTime}`;
+}
+
+/**
+ * Describe a one-off reminder in the current display language
+ * @param {Object} reminder Stored reminder
+ * @returns {string} Mode and rule (or Salmon Run stage)
+ */
+function describeCustomReminder(reminder) {
+  // Reminders saved before rule and stage were stored only have the label they were created with
+  if (!reminder.rule && !reminder.stage) return reminder.label || Utils.getMessage('reminderRotation');
+
+  const detail = reminder.stage ? Locale.stageName(reminder.stage) : Locale.ruleName(reminder.rule);
+  return `${Utils.getModeLabel(reminder.mode)}: ${detail}`;
+}
+
+/**
+ * Load the pending one-off reminders from storage
+ * @returns {Promise<Array>} Pending reminders, soonest first
+ */
+async function loadCustomReminders() {
+  const data = await chrome.storage.local.get(['customReminders']);
+  return (data.customReminders || []).sort((a, b) => a.when - b.when);
+}
+
+/**
+ * Schedule a one-off reminder for a specific rotation (background only)
+ * @param {string} modeKey Tracked mode key
+ * @param {string} startTime Rotation start time
+ * @returns {Promise<Object>} The stored reminder
+ */
+async function addCustomReminder(modeKey, startTime) {
+  const mode = Utils.TRACKED_MODES.find(m => m.key === modeKey);
+  if (!mode) throw new Error(`Unknown mode: ${modeKey}`);
+
+  const { rotationData } = await chrome.storage.local.get(['rotationData']);
+  if (rotationData?.isDemo || rotationData?.scenario) throw new Error("Demo and scenario rotations can't have reminders");
+  const rotation = Utils.getModeRotations(rotationData, modeKey).find(r => r.startTime === startTime);
+  if (!rotation) throw new Error('Rotation is no longer in the schedule');
+
+  const startMs = new Date(startTime).getTime();
+  if (startMs <= Utils.now()) throw new Error('Rotation has already started');
+
+  const leadTimes = await loadLeadTimes();
+  const leadMinutes = Number(leadTimes[modeKey]) || DEFAULT_CUSTOM_LEAD_MINUTES;
+  // Too close to the start for the full lead time - remind a minute from now instead
+  const when = Math.max(startMs - leadMinutes * 60 * 1000, Utils.now() + 60 * 1000);
+
+  const reminder = {
+    id: getCustomReminderId(modeKey, startTime),
+    mode: modeKey,
+    startTime: rotation.startTime,
+    endTime: rotation.endTime,
+    // Kept with their IDs so the label follows the display language (see describeCustomReminder)
+    rule: mode.coop ? null : { name: rotation.rule?.name, id: rotation.rule?.id || null },
+    stage: mode.coop ? { name: rotation.stage?.name, id: rotation.stage?.id || null } : null,
+    when: when
+  };
+
+  const reminders = (await loadCustomReminders()).filter(r => r.id !== reminder.id);
+  reminders.push(reminder);
+  await chrome.storage.local.set({ customReminders: reminders });
+  chrome.alarms.create(reminder.id, { when: Utils.toRealTime(reminder.when) });
+
+  console.log(`One-off reminder set: ${reminder.id}`);
+  return reminder;
+}
+
+/**
+ * Cancel a pending one-off reminder (background only)
+ * @param {string} id Reminder ID
+ */
+async function cancelCustomReminder(id) {
+  const reminders = (await loadCustomReminders()).filter(r => r.id !== id);
+  await chrome.storage.local.set({ customReminders: reminders });
+  await chrome.alarms.clear(id);
+  console.log(`One-off reminder cancelled: ${id}`);
+}
+
+/**
+ * Recreate alarms for pending one-off reminders and drop ones that were missed
+ */
+async function restoreCustomReminders() {
+  const now = Utils.now();
+  const reminders = (await loadCustomReminders()).filter(r => new Date(r.startTime).getTime() > now);
+  await chrome.storage.local.set({ customReminders: reminders });
+
+  for (const reminder of reminders) {
+    chrome.alarms.create(reminder.id, { when: Utils.toRealTime(Math.max(reminder.when, now + 1000)) });
+  }
+}
+
+/**
+ * Check whether an alarm is a one-off reminder
+ * @param {Object} alarm chrome.alarms alarm
+ * @returns {boolean} Whether it is a one-off reminder alarm
+ */
+function isCustomReminderAlarm(alarm) {
+  return alarm.name.startsWith(CUSTOM_REMINDER_PREFIX);
+}
+
+/**
+ * Send the notification for a one-off reminder and remove it from the pending list
+ * These were requested explicitly, so they fire even when rotation notifications are off
+ * @param {Object} alarm chrome.alarms alarm
+ */
+async function handleCustomReminderAlarm(alarm) {
+  const reminders = await loadCustomReminders();
+  const reminder = reminders.find(r => r.id === alarm.name);
+  if (!reminder) return;
+
+  await chrome.storage.local.set({ customReminders: reminders.filter(r => r.id !== reminder.id) });
+
+  const mode = Utils.TRACKED_MODES.find(m => m.key === reminder.mode);
+  const { rotationData } = await chrome.storage.local.get(['rotationData']);
+  const rotation = Utils.getModeRotations(rotationData, reminder.mode).find(r => r.startTime === reminder.startTime);
+  const minutesLeft = Math.max(0, Math.round((new Date(reminder.startTime).getTime() - Utils.now()) / 60000));
+
+  const modeLabel = mode ? Utils.getModeLabel(mode.key) : Utils.getMessage('reminderRotation');
+  let title = Utils.getMessage('reminderStartsIn', [modeLabel, String(minutesLeft)]);
+  let message = `${describeCustomReminder(reminder)}\n${Utils.formatTimeRange(reminder.startTime, reminder.endTime)}`;
+  if (mode && rotation) {
+    ({ title, message } = describeReminder(mode, rotation, minutesLeft));
+  }
+
+  chrome.notifications.create(reminder.id.replace(/\|/g, '-'), {
+    type: 'basic',
+    iconUrl: 'images/icon128.png',
+    title: title,
+    message: message,
+    priority: 2
+  });
+  console.log(`One-off reminder sent: ${reminder.id}`);
+}
+
+// Export the module
+const Reminders = {
+  LEAD_TIME_OPTIONS,
+  loadLeadTimes,
+  planReminders,
+  scheduleReminders,
+  isReminderAlarm,
+  describeReminder,
+  handleReminderAlarm,
+  getCustomReminderId,
+  describeCustomReminder,
+  loadCustomReminders,
+  addCustomReminder,
+  cancelCustomReminder,
+  restoreCustomReminders,
+  isCustomReminderAlarm,
+  handleCustomReminderAlarm
+};
+
+// Make Reminders available in different contexts
+if (typeof window !== 'undefined') {
+  window.Reminders = Reminders;
+} else if (typeof self !== 'undefined') {
+  self.Reminders = Reminders;
+}
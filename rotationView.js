@@ -0,0 +1,551 @@
+/**
+ * Splatoon 3 Rotation Tracker - Rotation Cards
+ * Builds the rotation cards shown in the popup and the side panel, and keeps their countdowns ticking.
+ */
+
+/**
+ * Fill the gaps a Splatfest leaves in Regular (Splatfest Open) and Anarchy (Splatfest Pro)
+ * @param {Object} data Rotation data
+ * @param {string} mode The game mode
+ * @returns {Object|undefined} Mode data with fest rotations merged into its timeline
+ */
+function withFestRotations(data, mode) {
+  const modeData = data[mode];
+  const festKey = { regular: 'open', anarchy: 'pro' }[mode];
+  const fest = data.fest;
+  if (!festKey || !fest || (!fest.current && !fest.upcoming?.length)) return modeData;
+
+  const festRotations = [fest.current, ...(fest.upcoming || [])]
+    .filter(rotation => rotation?.[festKey])
+    .map(rotation => ({
+      startTime: rotation.startTime,
+      endTime: rotation.endTime,
+      rule: rotation[festKey].rule,
+      stages: rotation[festKey].stages,
+      isFest: true,
+      festLabel: Utils.getMessage(festKey === 'pro' ? 'festPro' : 'festOpen')
+    }));
+
+  const ownRotations = [modeData?.current, ...(modeData?.upcoming || [])].filter(Boolean);
+  return { ...modeData, ...Utils.splitSchedule([...ownRotations, ...festRotations], new Date(Utils.now())) };
+}
+
+/**
+ * Create the Tricolor Turf War line shown on the live fest card during the second half
+ * @param {Object|null} splatfest Processed Splatfest data
+ * @returns {HTMLElement|null} Tricolor line, or null when Tricolor battles aren't running
+ */
+function createTricolorElement(splatfest) {
+  if (splatfest?.state !== 'SECOND_HALF' || !splatfest.tricolorStages?.length) return null;
+
+  const tricolorEl = document.createElement('div');
+  tricolorEl.className = 'fest-tricolor';
+  tricolorEl.textContent = Utils.getMessage('tricolorStages', splatfest.tricolorStages.map(stage => Locale.stageName(stage)).join(' / '));
+  return tricolorEl;
+}
+
+/**
+ * Show a rotation's times in the configured friend zones
+ * @param {Object} rotation The rotation data
+ * @returns {HTMLElement|null} Secondary times, or null when no friend zones are set
+ */
+function createFriendTimesElement(rotation) {
+  const lines = Utils.formatFriendTimeRanges(rotation.startTime, rotation.endTime);
+  if (lines.length === 0) return null;
+
+  const friendTimesEl = document.createElement('div');
+  friendTimesEl.className = 'friend-times';
+  lines.forEach(line => {
+    const lineEl = document.createElement('div');
+    lineEl.textContent = line;
+    friendTimesEl.appendChild(lineEl);
+  });
+  return friendTimesEl;
+}
+
+/**
+ * Creates and returns a DOM element for a single rotation.
+ * @param {Object} rotation - The rotation data.
+ * @param {string} mode - The game mode.
+ * @param {boolean} isCurrent - Whether this is the current rotation (for countdown).
+ * @param {Object} [options] - Rendering options.
+ * @param {string} [options.subMode] - Anarchy sub-mode to show ('series' or 'open').
+ * @param {Object|null} [options.splatfest] - Splatfest data, for the Tricolor line.
+ * @param {Function} [options.createRemindButton] - Builds the reminder bell for upcoming rotations.
+ * @param {Map<string, string>} [options.thumbnails] - Cached thumbnails by remote URL, from ImageCache.loadThumbnails().
+ * @returns {DocumentFragment} - A fragment containing the rotation's DOM nodes.
+ */
+function createRotationElement(rotation, mode, isCurrent = false, options = {}) {
+  const { subMode = 'series', splatfest = null, createRemindButton = null, thumbnails = null } = options;
+  // Prefer the cached thumbnail of a remote image, which loads instantly and offline
+  const imageUrl = url => (url && thumbnails?.get(url)) || url || null;
+  const fragment = document.createDocumentFragment();
+
+  // Time range with countdown
+  const timeRangeEl = document.createElement('div');
+  timeRangeEl.className = 'time-range';
+
+  const timeTextEl = document.createElement('span');
+  timeTextEl.textContent = Utils.formatTimeRange(rotation.startTime, rotation.endTime, { withFriendZones: false });
+  timeRangeEl.appendChild(timeTextEl);
+
+  // Add countdown
+  const countdownEl = document.createElement('span');
+  countdownEl.className = 'countdown';
+  if (isCurrent) {
+    countdownEl.dataset.endTime = rotation.endTime;
+  } else {
+    countdownEl.dataset.startTime = rotation.startTime;
+  }
+  timeRangeEl.appendChild(countdownEl);
+
+  // Upcoming rotations can have a one-off reminder (fest blocks aren't tracked modes,
+  // and an Anarchy rotation without the chosen sub-mode has nothing to remind about)
+  const hasSubModeRotation = mode !== 'anarchy' || Boolean(rotation[subMode]);
+  if (!isCurrent && !rotation.isFest && hasSubModeRotation && createRemindButton) {
+    timeRangeEl.appendChild(createRemindButton(rotation, rotation.isEggstra ? 'eggstra' : undefined));
+  }
+
+  fragment.appendChild(timeRangeEl);
+
+  const friendTimesEl = createFriendTimesElement(rotation);
+  if (friendTimesEl) fragment.appendChild(friendTimesEl);
+
+  if (mode === 'challenge') {
+    // Challenge/Event mode
+    const event = Locale.eventText(rotation);
+    if (event.name) {
+      const eventNameEl = document.createElement('div');
+      eventNameEl.className = 'event-name';
+      eventNameEl.textContent = event.name;
+      fragment.appendChild(eventNameEl);
+    }
+
+    if (event.desc) {
+      const eventDescEl = document.createElement('div');
+      eventDescEl.className = 'event-desc';
+      eventDescEl.textContent = event.desc;
+      fragment.appendChild(eventDescEl);
+    }
+
+    const ruleNameEl = document.createElement('div');
+    ruleNameEl.className = 'rule-name';
+    ruleNameEl.dataset.rule = rotation.rule?.name || '';
+    ruleNameEl.textContent = Locale.ruleName(rotation.rule);
+    fragment.appendChild(ruleNameEl);
+
+    const stagesEl = document.createElement('div');
+    stagesEl.className = 'stages';
+
+    (rotation.stages || []).forEach(stageData => {
+      const stageEl = document.createElement('div');
+      stageEl.className = 'stage';
+
+      // Image lookup uses the English name; the label uses the display language
+      const stageName = stageData.name || 'Unknown Stage';
+      const displayName = Locale.stageName(stageData);
+      const stageImage = StageImages.resolveStageImage(stageName, 'challenge', imageUrl(stageData.image));
+
+      const imgContainer = document.createElement('div');
+      imgContainer.className = 'stage-img-container';
+
+      const img = new Image();
+      img.className = 'stage-img';
+      img.dataset.stage = stageImage.stageId;
+      img.dataset.mode = 'challenge';
+      img.alt = displayName;
+      img.src = stageImage.url;
+
+      imgContainer.appendChild(img);
+      stageEl.appendChild(imgContainer);
+
+      const nameEl = document.createElement('div');
+      nameEl.className = 'stage-name';
+      nameEl.textContent = displayName;
+      stageEl.appendChild(nameEl);
+
+      stagesEl.appendChild(stageEl);
+    });
+
+    fragment.appendChild(stagesEl);
+  } else if (mode === 'salmon') {
+    // Salmon Run specific logic
+    const stageName = rotation.stage?.name || 'Unknown Stage';
+    const displayName = Locale.stageName(rotation.stage);
+    const stageImage = StageImages.resolveStageImage(stageName, 'salmon', imageUrl(rotation.stage?.image));
+    const isBigRun = rotation.isBigRun;
+
+    // Create mode info section
+    const modeInfoEl = document.createElement('div');
+    modeInfoEl.className = 'mode-info';
+
+    if (isBigRun) {
+      const bigRunBadge = document.createElement('div');
+      bigRunBadge.className = 'big-run-badge';
+      bigRunBadge.textContent = Utils.getMessage('bigRun');
+      modeInfoEl.appendChild(bigRunBadge);
+    }
+
+    if (rotation.isEggstra) {
+      const eggstraBadge = document.createElement('div');
+      eggstraBadge.className = 'eggstra-badge';
+      eggstraBadge.textContent = Utils.getModeLabel('eggstra');
+      modeInfoEl.appendChild(eggstraBadge);
+    }
+
+    const ruleNameEl = document.createElement('div');
+    ruleNameEl.className = 'rule-name';
+    ruleNameEl.textContent = Utils.getModeLabel('salmon');
+    modeInfoEl.appendChild(ruleNameEl);
+    fragment.appendChild(modeInfoEl);
+
+    // Create stage section
+    const stageEl = document.createElement('div');
+    stageEl.className = 'stage';
+
+    const imgContainer = document.createElement('div');
+    imgContainer.className = 'stage-img-container';
+
+    const img = new Image();
+    img.className = 'stage-img';
+    img.dataset.stage = stageImage.stageId;
+    img.dataset.mode = 'salmon';
+    img.alt = displayName;
+    img.src = stageImage.url;
+
+    imgContainer.appendChild(img);
+    stageEl.appendChild(imgContainer);
+
+    const nameEl = document.createElement('div');
+    nameEl.className = 'stage-name';
+    nameEl.textContent = displayName;
+    stageEl.appendChild(nameEl);
+    fragment.appendChild(stageEl);
+
+    // Create weapons section with images
+    const weaponsEl = document.createElement('div');
+    weaponsEl.className = 'salmon-weapons';
+
+    const weapons = rotation.weapons || [];
+    if (weapons.length > 0) {
+      weapons.forEach(weapon => {
+        const weaponName = Locale.weaponName(weapon);
+        const weaponImage = (typeof weapon === 'object' && weapon !== null) ? imageUrl(weapon.image) : null;
+
+        const weaponEl = document.createElement('div');
+        weaponEl.className = 'weapon';
+
+        if (weaponImage) {
+          const weaponImg = new Image();
+          weaponImg.className = 'weapon-img';
+          weaponImg.src = weaponImage;
+          weaponImg.alt = weaponName || Utils.getMessage('weapon');
+          weaponImg.onerror = function() {
+            // Hide image on error, show text only
+            this.style.display = 'none';
+          };
+          weaponEl.appendChild(weaponImg);
+        }
+
+        const weaponNameEl = document.createElement('span');
+        weaponNameEl.className = 'weapon-name';
+        weaponNameEl.textContent = weaponName || Utils.getMessage('unknown');
+        weaponEl.appendChild(weaponNameEl);
+
+        weaponsEl.appendChild(weaponEl);
+      });
+    } else {
+      const noWeaponEl = document.createElement('div');
+      noWeaponEl.className = 'weapon';
+      noWeaponEl.textContent = Utils.getMessage('noWeaponData');
+      weaponsEl.appendChild(noWeaponEl);
+    }
+
+    fragment.appendChild(weaponsEl);
+
+    // Add King Salmonid (Boss) display if available
+    if (rotation.boss) {
+      const bossEl = document.createElement('div');
+      bossEl.className = 'salmon-boss';
+
+      const bossLabel = document.createElement('span');
+      bossLabel.className = 'boss-label';
+      bossLabel.textContent = `${Utils.getMessage('kingSalmonid')} `;
+      bossEl.appendChild(bossLabel);
+
+      if (rotation.bossImage) {
+        const bossImg = new Image();
+        bossImg.className = 'boss-img';
+        bossImg.src = imageUrl(rotation.bossImage);
+        bossImg.alt = Locale.bossName(rotation);
+        bossImg.onerror = function() {
+          this.style.display = 'none';
+        };
+        bossEl.appendChild(bossImg);
+      }
+
+      const bossName = document.createElement('span');
+      bossName.className = 'boss-name';
+      bossName.textContent = Locale.bossName(rotation);
+      bossEl.appendChild(bossName);
+
+      fragment.appendChild(bossEl);
+    }
+  } else if (mode === 'anarchy' && (rotation.series || rotation.open)) {
+    // Anarchy mode - show the selected Series or Open sub-mode
+    const subData = rotation[subMode];
+    const subSection = document.createElement('div');
+    subSection.className = 'anarchy-sub-mode';
+
+    const subLabel = document.createElement('div');
+    subLabel.className = 'anarchy-sub-label';
+    subLabel.textContent = Utils.getMessage(subMode === 'open' ? 'subModeOpen' : 'subModeSeries');
+    subSection.appendChild(subLabel);
+
+    if (!subData) {
+      const noDataEl = document.createElement('div');
+      noDataEl.className = 'no-data';
+      noDataEl.textContent = Utils.getMessage('noSubModeRotation', subLabel.textContent);
+      subSection.appendChild(noDataEl);
+      fragment.appendChild(subSection);
+      return fragment;
+    }
+
+    const ruleNameEl = document.createElement('div');
+    ruleNameEl.className = 'rule-name';
+    ruleNameEl.dataset.rule = subData.rule?.name || '';
+    ruleNameEl.textContent = Locale.ruleName(subData.rule);
+    subSection.appendChild(ruleNameEl);
+
+    const stagesEl = document.createElement('div');
+    stagesEl.className = 'stages';
+
+    (subData.stages || []).forEach(stageData => {
+      const stageEl = document.createElement('div');
+      stageEl.className = 'stage';
+
+      // Image lookup uses the English name; the label uses the display language
+      const stageName = stageData.name || 'Unknown Stage';
+      const displayName = Locale.stageName(stageData);
+      const stageImage = StageImages.resolveStageImage(stageName, 'anarchy', imageUrl(stageData.image));
+
+      const imgContainer = document.createElement('div');
+      imgContainer.className = 'stage-img-container';
+
+      const img = new Image();
+      img.className = 'stage-img';
+      img.dataset.stage = stageImage.stageId;
+      img.dataset.mode = 'anarchy';
+      img.alt = displayName;
+      img.src = stageImage.url;
+
+      imgContainer.appendChild(img);
+      stageEl.appendChild(imgContainer);
+
+      const nameEl = document.createElement('div');
+      nameEl.className = 'stage-name';
+      nameEl.textContent = displayName;
+      stageEl.appendChild(nameEl);
+
+      stagesEl.appendChild(stageEl);
+    });
+
+    subSection.appendChild(stagesEl);
+    fragment.appendChild(subSection);
+  } else {
+    // Battle modes (regular, xbattle, and Splatfest Pro/Open in place of regular/anarchy)
+    if (rotation.isFest) {
+      const festBadge = document.createElement('div');
+      festBadge.className = 'fest-badge';
+      festBadge.textContent = rotation.festLabel;
+      fragment.appendChild(festBadge);
+    }
+
+    const ruleNameEl = document.createElement('div');
+    ruleNameEl.className = 'rule-name';
+    ruleNameEl.dataset.rule = rotation.rule?.name || '';
+    ruleNameEl.textContent = Locale.ruleName(rotation.rule);
+    fragment.appendChild(ruleNameEl);
+
+    const stagesEl = document.createElement('div');
+    stagesEl.className = 'stages';
+
+    (rotation.stages || []).forEach(stageData => {
+      const stageEl = document.createElement('div');
+      stageEl.className = 'stage';
+
+      // Image lookup uses the English name; the label uses the display language
+      const stageName = stageData.name || 'Unknown Stage';
+      const displayName = Locale.stageName(stageData);
+      const stageImage = StageImages.resolveStageImage(stageName, mode, imageUrl(stageData.image));
+
+      const imgContainer = document.createElement('div');
+      imgContainer.className = 'stage-img-container';
+
+      const img = new Image();
+      img.className = 'stage-img';
+      img.dataset.stage = stageImage.stageId;
+      img.dataset.mode = mode;
+      img.alt = displayName;
+      img.src = stageImage.url;
+
+      imgContainer.appendChild(img);
+      stageEl.appendChild(imgContainer);
+
+      const nameEl = document.createElement('div');
+      nameEl.className = 'stage-name';
+      nameEl.textContent = displayName;
+      stageEl.appendChild(nameEl);
+
+      stagesEl.appendChild(stageEl);
+    });
+
+    fragment.appendChild(stagesEl);
+
+    const tricolorEl = rotation.isFest && isCurrent ? createTricolorElement(splatfest) : null;
+    if (tricolorEl) fragment.appendChild(tricolorEl);
+  }
+
+  return fragment;
+}
+
+/**
+ * Add small rule-type icons before rule names for quick visual identification
+ * @param {ParentNode} [root] Element whose rule names get icons
+ */
+function addRuleIcons(root = document) {
+  root.querySelectorAll('.rule-name, .timeline-rule').forEach(el => {
+    // Rule names may be translated, so look the icon up by the English name
+    const iconInfo = Utils.getRuleIcon(el.dataset.rule || el.textContent);
+    if (iconInfo) {
+      const icon = document.createElement('span');
+      icon.className = `rule-icon ${iconInfo.cls}`;
+      icon.textContent = iconInfo.label;
+      el.prepend(icon);
+    }
+  });
+}
+
+/**
+ * Fall back to the placeholder when a stage's API image fails to load (e.g. offline before it was cached)
+ * Local art is known to exist, so it never needs a fallback
+ * @param {ParentNode} [root] Element whose stage images get the fallback
+ */
+function loadStageImages(root = document) {
+  root.querySelectorAll('.stage-img').forEach(img => {
+    img.onerror = function() {
+      const stageId = this.dataset.stage;
+      console.warn(`Stage image failed to load: ${this.src} | stage: "${stageId}" | mode: "${this.dataset.mode}"`);
+      this.onerror = null;
+      this.src = StageImages.PLACEHOLDER_IMAGE;
+      this.title = Utils.getMessage('imageUnavailable', stageId);
+    };
+  });
+}
+
+/**
+ * Update all countdown elements
+ * @param {ParentNode} [root] Element whose countdowns are updated
+ * @returns {boolean} Whether any shown rotation has ended or started, so the data is stale
+ */
+function updateCountdowns(root = document) {
+  const now = Utils.now();
+  let anyEnded = false;
+
+  root.querySelectorAll('.countdown').forEach(el => {
+    const endTime = el.dataset.endTime;
+    const startTime = el.dataset.startTime;
+
+    if (endTime) {
+      // Current rotation - show "Ends in X"
+      const remaining = new Date(endTime).getTime() - now;
+      if (remaining > 0) {
+        el.textContent = ` (${Utils.getMessage('countdownLeft', formatCountdown(remaining))})`;
+        el.classList.remove('countdown-soon', 'countdown-ended');
+        // Add warning class if less than 15 minutes
+        if (remaining < 15 * 60 * 1000) {
+          el.classList.add('countdown-soon');
+        }
+      } else {
+        el.textContent = ` (${Utils.getMessage('countdownUpdating')})`;
+        el.classList.add('countdown-ended');
+        anyEnded = true;
+      }
+    } else if (startTime) {
+      // Next rotation - show "Starts in X"
+      const remaining = new Date(startTime).getTime() - now;
+      if (remaining > 0) {
+        el.textContent = ` (${Utils.getMessage('countdownIn', formatCountdown(remaining))})`;
+      } else {
+        el.textContent = ` (${Utils.getMessage('countdownStartingNow')})`;
+        anyEnded = true;
+      }
+    }
+  });
+
+  return anyEnded;
+}
+
+/**
+ * Format a countdown duration into human-readable string in the UI language
+ * @param {number} ms Milliseconds remaining
+ * @returns {string} Formatted string like "1h 23m" or "45m 30s"
+ */
+function formatCountdown(ms) {
+  const totalSeconds = Math.floor(ms / 1000);
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+
+  if (hours > 0) {
+    return Utils.getMessage('durationHoursMinutes', [String(hours), String(minutes)]);
+  } else if (minutes > 0) {
+    return Utils.getMessage('durationMinutesSeconds', [String(minutes), String(seconds)]);
+  } else {
+    return Utils.getMessage('durationSeconds', String(seconds));
+  }
+}
+
+/**
+ * Describe a developer scenario or moved clock, for the banner above the cards
+ * @param {Object|null} rotationData Processed rotation data
+ * @returns {string|null} Banner text, or null for live data on the real clock
+ */
+function describeDeveloperMode(rotationData) {
+  const parts = [];
+  if (rotationData?.scenario) {
+    parts.push(Utils.getMessage('devScenarioBanner', rotationData.scenario));
+  }
+  if (Utils.getClockOffset() !== 0) {
+    // Always with the date, since the moved clock is usually on another day
+    const { hour12, timeZone } = Utils.getTimeSettings();
+    const clock = new Date(Utils.now()).toLocaleString(undefined, {
+      dateStyle: 'medium',
+      timeStyle: 'short',
+      hour12,
+      timeZone: timeZone || undefined
+    });
+    parts.push(Utils.getMessage('devClockBanner', clock));
+  }
+  return parts.length > 0 ? parts.join(' · ') : null;
+}
+
+// Export the module
+const RotationView = {
+  withFestRotations,
+  createTricolorElement,
+  createFriendTimesElement,
+  createRotationElement,
+  addRuleIcons,
+  loadStageImages,
+  updateCountdowns,
+  formatCountdown,
+  describeDeveloperMode
+};
+
+// Make RotationView available in different contexts
+if (typeof window !== 'undefined') {
+  window.RotationView = RotationView;
+} else if (typeof self !== 'undefined') {
+  self.RotationView = RotationView;
+}
@@ -13,115 +13,116 @@ if (typeof Utils === 'undefined') {
   }
 }
 
+/**
+ * Convert a coop schedule node into a shift
+ * @param {Object} schedule Schedule node from API
+ * @param {Object} flags Shift type flags (isBigRun, isEggstra)
+ * @returns {Object|null} Processed shift, or null when the node has no times
+ */
+function processShiftNode(schedule, flags) {
+  if (!schedule?.startTime || !schedule?.endTime) return null;
+
+  const setting = schedule.setting;
+  return {
+    startTime: schedule.startTime,
+    endTime: schedule.endTime,
+    stage: {
+      name: setting?.coopStage?.name || "Unknown Stage",
+      id: setting?.coopStage?.id || null,
+      image: setting?.coopStage?.image?.url || null
+    },
+    weapons: (setting?.weapons || []).map(w => ({
+      name: w?.name || "Unknown Weapon",
+      // Weapons have no API ID; splatoon3.ink adds its own for the locale files
+      id: w?.__splatoon3ink_id || null,
+      image: w?.image?.url || null
+    })),
+    boss: setting?.boss?.name || null,
+    bossId: setting?.boss?.id || null,
+    bossImage: setting?.boss?.image?.url || null,
+    isBigRun: flags.isBigRun || false,
+    isEggstra: flags.isEggstra || false
+  };
+}
+
 /**
  * Process the raw API data to extract Salmon Run schedules
  * @param {Object} data Raw API data
- * @returns {Object} Object containing current and next salmon run rotations
+ * @returns {Object|null} Object containing current, next and upcoming salmon run rotations,
+ *   plus the Eggstra Work contests (which run alongside regular shifts) under `eggstra`;
+ *   null when the response has no Salmon Run schedule
  */
 function processSalmonRunData(data) {
   if (!data?.data?.coopGroupingSchedule) {
     console.error("Invalid Salmon Run data format: coopGroupingSchedule missing");
-    return createSalmonRunTestData(); // Fallback to test data
+    return null;
   }
   
-  const now = new Date();
+  const now = new Date(Utils.now());
   console.log("Processing Salmon Run data with current time:", now.toISOString());
 
+  const coop = data.data.coopGroupingSchedule;
   let allSchedules = [];
 
   // +++ REFACTOR: Combine all schedule types into one list first for easier processing.
   
   // 1. Add Big Run schedules
-  const bigRunNodes = data.data.coopGroupingSchedule.bigRunSchedules?.nodes || [];
-  for (const schedule of bigRunNodes) {
-    if (!schedule?.startTime || !schedule?.endTime) continue;
-
-    const setting = schedule.setting;
-    allSchedules.push({
-      startTime: schedule.startTime,
-      endTime: schedule.endTime,
-      stage: {
-        name: setting?.coopStage?.name || "Unknown Stage",
-        image: setting?.coopStage?.image?.url || null
-      },
-      weapons: (setting?.weapons || []).map(w => ({
-        name: w?.name || "Unknown Weapon",
-        image: w?.image?.url || null
-      })),
-      boss: setting?.boss?.name || null,
-      bossImage: setting?.boss?.image?.url || null,
-      isBigRun: true
-    });
+  for (const schedule of coop.bigRunSchedules?.nodes || []) {
+    const shift = processShiftNode(schedule, { isBigRun: true });
+    if (shift) allSchedules.push(shift);
   }
 
   // 2. Add regular schedules
-  const regularNodes = data.data.coopGroupingSchedule.regularSchedules?.nodes || [];
-  for (const schedule of regularNodes) {
-    if (!schedule?.startTime || !schedule?.endTime) continue;
-
-    const setting = schedule.setting;
-    allSchedules.push({
-      startTime: schedule.startTime,
-      endTime: schedule.endTime,
-      stage: {
-        name: setting?.coopStage?.name || "Unknown Stage",
-        image: setting?.coopStage?.image?.url || null
-      },
-      weapons: (setting?.weapons || []).map(w => ({
-        name: w?.name || "Unknown Weapon",
-        image: w?.image?.url || null
-      })),
-      boss: setting?.boss?.name || null,
-      bossImage: setting?.boss?.image?.url || null,
-      isBigRun: false
-    });
+  for (const schedule of coop.regularSchedules?.nodes || []) {
+    const shift = processShiftNode(schedule, {});
+    if (shift) allSchedules.push(shift);
   }
 
-  // 3. Sort all schedules by start time
-  allSchedules.sort((a, b) => new Date(a.startTime) - new Date(b.startTime));
-
-  let current = null;
-  let next = null;
-  const nowMs = now.getTime();
-
-  // 4. Find current and next from the unified list
-  for (const schedule of allSchedules) {
-    const startMs = new Date(schedule.startTime).getTime();
-    const endMs = new Date(schedule.endTime).getTime();
-
-    if (startMs <= nowMs && endMs > nowMs) {
-      current = schedule;
-    } else if (startMs > nowMs) {
-      // The first one we find that starts in the future is our "next"
-      if (!next) {
-        next = schedule;
-      }
-      // Since the list is sorted, we can break after finding the next one.
-      else { 
-        break; 
-      }
-    }
+  // 3. Sort and split the unified list into current, next and every upcoming shift
+  const { current, next, upcoming } = Utils.splitSchedule(allSchedules, now);
+
+  // 4. Eggstra Work contests overlap regular shifts, so they get their own timeline
+  const contests = [];
+  for (const schedule of coop.teamContestSchedules?.nodes || []) {
+    const shift = processShiftNode(schedule, { isEggstra: true });
+    if (shift) contests.push(shift);
   }
+  const eggstra = Utils.splitSchedule(contests, now);
 
   // If we still don't have data, it's a genuine gap in the schedule or API issue.
   if (!current && !next) {
-    console.warn("No current or upcoming Salmon Run rotations found in API data. Using fallback.");
-    return createSalmonRunTestData();
+    console.warn("No current or upcoming Salmon Run rotations found in API data.");
   }
 
-  return { current, next };
+  return { current, next, upcoming, eggstra };
 }
 
 /**
- * Create test data for Salmon Run as a fallback
- * @returns {Object} Test data with current and next Salmon Run rotations
+ * Create sample Salmon Run data for demo mode
+ * @returns {Object} Test data with current, next and upcoming Salmon Run rotations
  */
 function createSalmonRunTestData() {
-  const now = new Date();
+  const now = new Date(Utils.now());
   const twelveHoursLater = new Date(now.getTime() + 12 * 60 * 60 * 1000);
   const thirtySixHoursLater = new Date(now.getTime() + 36 * 60 * 60 * 1000);
   const sixtyHoursLater = new Date(now.getTime() + 60 * 60 * 60 * 1000);
 
+  const next = {
+    startTime: thirtySixHoursLater.toISOString(),
+    endTime: sixtyHoursLater.toISOString(),
+    stage: { name: "Spawning Grounds", image: null },
+    weapons: [
+      { name: "N-ZAP '85", image: null },
+      { name: "Slosher", image: null },
+      { name: "Heavy Splatling", image: null },
+      { name: "Tri-Stringer", image: null }
+    ],
+    boss: "Horrorboros",
+    bossImage: null,
+    isBigRun: false,
+    isEggstra: false
+  };
+
   return {
     current: {
       startTime: now.toISOString(),
@@ -135,22 +136,12 @@ function createSalmonRunTestData() {
       ],
       boss: "Cohozuna",
       bossImage: null,
-      isBigRun: false
+      isBigRun: false,
+      isEggstra: false
     },
-    next: {
-      startTime: thirtySixHoursLater.toISOString(),
-      endTime: sixtyHoursLater.toISOString(),
-      stage: { name: "Spawning Grounds", image: null },
-      weapons: [
-        { name: "N-ZAP '85", image: null },
-        { name: "Slosher", image: null },
-        { name: "Heavy Splatling", image: null },
-        { name: "Tri-Stringer", image: null }
-      ],
-      boss: "Horrorboros",
-      bossImage: null,
-      isBigRun: false
-    }
+    next: next,
+    upcoming: [next],
+    eggstra: { current: null, next: null, upcoming: [] }
   };
 }
 
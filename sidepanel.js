@@ -0,0 +1,259 @@
+/**
+ * Splatoon 3 Rotation Tracker - Side Panel
+ * Shows the current and next rotation of every mode at once, next to the open tab.
+ * The panel only reads cached data and re-renders when the background stores a refresh.
+ */
+
+document.addEventListener('DOMContentLoaded', function() {
+  // Static text comes from the _locales catalogs for the browser's language
+  document.documentElement.lang = chrome.i18n.getUILanguage();
+  Utils.localizePage();
+
+  const elements = {
+    container: document.querySelector('.container'),
+    modes: document.getElementById('panel-modes'),
+    demoBanner: document.getElementById('demo-banner'),
+    devBanner: document.getElementById('dev-banner'),
+    lastUpdated: document.getElementById('last-updated')
+  };
+
+  let rotationData = null;
+  let watchRules = [];
+  // Cached image thumbnails for rotationData
+  let thumbnails = new Map();
+
+  // Re-render when the background stores new data or a display setting changes
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && (changes.rotationData || changes.lastUpdated || changes.isOffline)) {
+      loadData();
+    } else if (areaName === 'sync' && changes.timeDisplay) {
+      Utils.loadTimeSettings().then(renderModes);
+    } else if (areaName === 'sync' && changes.watchlist) {
+      watchRules = changes.watchlist.newValue || [];
+      renderModes();
+    }
+  });
+
+  // Locale reloads its names when the language changes; redraw once they're in
+  Locale.onLocaleChange(renderModes);
+
+  // Countdowns tick locally; an ended rotation shows "updating" until the background refreshes
+  setInterval(() => RotationView.updateCountdowns(elements.modes), 1000);
+
+  init();
+
+  /**
+   * Load settings and translations, then the cached data
+   */
+  async function init() {
+    try {
+      await Promise.all([Utils.loadTimeSettings(), Locale.initLocale(), Utils.loadClock()]);
+      watchRules = await Watchlist.loadRules();
+    } catch (error) {
+      console.error('Failed to load side panel settings:', error);
+    }
+    await loadData();
+  }
+
+  /**
+   * Read the cached rotation data and render every mode
+   */
+  async function loadData() {
+    try {
+      const data = await chrome.storage.local.get(['rotationData', 'lastUpdated', 'isOffline']);
+      rotationData = data.rotationData || null;
+      await loadThumbnails();
+      updateLastUpdated(data.lastUpdated, data.isOffline);
+      renderModes();
+    } catch (error) {
+      console.error('Failed to load rotation data:', error);
+      setMessage(Utils.getMessage('noData'), 'error');
+    }
+  }
+
+  /**
+   * Swap in the cached image thumbnails for the current data
+   */
+  async function loadThumbnails() {
+    try {
+      const loaded = await ImageCache.loadThumbnails(rotationData);
+      ImageCache.releaseThumbnails(thumbnails);
+      thumbnails = loaded;
+    } catch (error) {
+      // Cards fall back to the remote images
+      console.error('Failed to load image thumbnails:', error);
+    }
+  }
+
+  /**
+   * Show when the data was last refreshed, flagging stale data after a failed fetch
+   * @param {string|undefined} lastUpdated ISO time of the last refresh
+   * @param {boolean} isOffline Whether the last fetch failed
+   */
+  function updateLastUpdated(lastUpdated, isOffline) {
+    elements.lastUpdated.textContent = '';
+    if (!lastUpdated) {
+      elements.lastUpdated.textContent = Utils.getMessage('never');
+      return;
+    }
+
+    if (isOffline) {
+      const span = document.createElement('span');
+      span.className = 'offline-indicator';
+      span.textContent = `⚠ ${Utils.getMessage('offline')} `;
+      elements.lastUpdated.appendChild(span);
+    }
+    elements.lastUpdated.appendChild(document.createTextNode(Utils.formatTime(new Date(lastUpdated))));
+  }
+
+  /**
+   * Replace the panel content with a single message
+   * @param {string} text Message text
+   * @param {string} className CSS class for the message
+   */
+  function setMessage(text, className) {
+    elements.modes.textContent = '';
+    const el = document.createElement('div');
+    el.className = className;
+    el.textContent = text;
+    elements.modes.appendChild(el);
+  }
+
+  /**
+   * Show or hide the banner for a developer scenario or moved clock
+   */
+  function renderDeveloperBanner() {
+    const text = RotationView.describeDeveloperMode(rotationData);
+    elements.devBanner.textContent = text || '';
+    elements.devBanner.style.display = text ? 'block' : 'none';
+  }
+
+  /**
+   * Render a section for every tracked mode
+   */
+  function renderModes() {
+    if (!rotationData) {
+      elements.demoBanner.style.display = 'none';
+      renderDeveloperBanner();
+      setMessage(Utils.getMessage('noData'), 'no-data');
+      return;
+    }
+
+    applyFestColors(rotationData.splatfest);
+    elements.demoBanner.style.display = rotationData.isDemo ? 'block' : 'none';
+    renderDeveloperBanner();
+
+    elements.modes.textContent = '';
+    Utils.TRACKED_MODES.forEach(mode => {
+      const section = createModeSection(mode);
+      if (section) elements.modes.appendChild(section);
+    });
+
+    RotationView.addRuleIcons(elements.modes);
+    RotationView.loadStageImages(elements.modes);
+    RotationView.updateCountdowns(elements.modes);
+  }
+
+  /**
+   * Expose the Splatfest team colours to the fest rotation cards
+   * @param {Object|null} splatfest Splatfest data or null
+   */
+  function applyFestColors(splatfest) {
+    const teamColors = (splatfest?.teams || []).map(t => t.color).filter(Boolean);
+    [0, 1, 2].forEach(i => {
+      const color = teamColors[i] || teamColors[0];
+      if (color) {
+        elements.container.style.setProperty(`--fest-team-${i + 1}`, color);
+      } else {
+        elements.container.style.removeProperty(`--fest-team-${i + 1}`);
+      }
+    });
+  }
+
+  /**
+   * Create the section showing one mode's current and next rotation
+   * @param {Object} mode Entry from Utils.TRACKED_MODES
+   * @returns {HTMLElement|null} Section, or null when the mode has nothing to show
+   */
+  function createModeSection(mode) {
+    const modeData = RotationView.withFestRotations(rotationData, mode.source);
+    const timeline = mode.nested ? modeData?.[mode.nested] : modeData;
+    const current = timeline?.current || null;
+    const next = timeline?.next || null;
+
+    // Eggstra Work only appears while a contest is open or announced
+    if (mode.nested && !current && !next) return null;
+
+    // Splatfest Pro replaces both Anarchy sub-modes, so show it once
+    if (mode.subMode === 'open' && [current, next].every(rotation => !rotation || rotation.isFest)) return null;
+
+    const section = document.createElement('section');
+    section.className = `panel-mode mode-${mode.source}`;
+
+    const heading = document.createElement('h2');
+    heading.textContent = current?.isFest ? current.festLabel : Utils.getModeLabel(mode.key);
+    section.appendChild(heading);
+
+    section.appendChild(createCard(mode, current, true));
+    section.appendChild(createCard(mode, next, false));
+    return section;
+  }
+
+  /**
+   * Create a labelled rotation card
+   * @param {Object} mode Entry from Utils.TRACKED_MODES
+   * @param {Object|null} rotation The rotation data
+   * @param {boolean} isCurrent Whether this is the current rotation
+   * @returns {HTMLElement} Card element
+   */
+  function createCard(mode, rotation, isCurrent) {
+    const cardEl = document.createElement('div');
+    cardEl.className = 'panel-card';
+
+    const labelEl = document.createElement('div');
+    labelEl.className = 'panel-card-label';
+    labelEl.textContent = Utils.getMessage(isCurrent ? 'rotationNow' : 'rotationNext');
+    cardEl.appendChild(labelEl);
+
+    const dataEl = document.createElement('div');
+    dataEl.className = 'rotation-data';
+    if (rotation) {
+      dataEl.appendChild(RotationView.createRotationElement(rotation, mode.source, isCurrent, {
+        subMode: mode.subMode,
+        splatfest: rotationData.splatfest,
+        thumbnails
+      }));
+      dataEl.classList.toggle('fest-rotation', !!rotation.isFest);
+      dataEl.classList.toggle('watched', isRotationWatched(mode, rotation));
+    } else {
+      // A schedule the last fetch couldn't read says so instead of looking empty
+      const problem = rotationData.problems?.[mode.source];
+      const messageEl = document.createElement('div');
+      messageEl.className = problem ? 'error' : 'no-data';
+      if (problem) {
+        messageEl.textContent = Utils.getMessage(isCurrent ? `dataProblem_${problem}` : 'dataProblemRetry');
+      } else {
+        messageEl.textContent = Utils.getMessage(isCurrent ? 'noCurrentRotation' : 'noUpcomingRotation');
+      }
+      dataEl.appendChild(messageEl);
+    }
+    cardEl.appendChild(dataEl);
+
+    return cardEl;
+  }
+
+  /**
+   * Check whether a rotation matches the watchlist
+   * @param {Object} mode Entry from Utils.TRACKED_MODES
+   * @param {Object} rotation The rotation data
+   * @returns {boolean} Whether it is watched
+   */
+  function isRotationWatched(mode, rotation) {
+    // Splatfest battles aren't part of any tracked mode
+    if (rotation.isFest) return false;
+    if (!mode.subMode) return Watchlist.isWatched(watchRules, mode.key, rotation);
+
+    const subData = rotation[mode.subMode];
+    return !!subData && Watchlist.isWatched(watchRules, mode.key, { ...rotation, rule: subData.rule, stages: subData.stages });
+  }
+});
@@ -0,0 +1,137 @@
+/**
+ * Splatoon 3 Rotation Tracker - Stage Image Resolver
+ * Picks one image URL per stage before the cards are drawn: local art, then the API image, then the placeholder.
+ * Stages without local art are reported so missing files get noticed instead of quietly replaced.
+ */
+
+// Ensure utils are available
+if (typeof Utils === 'undefined') {
+  try {
+    importScripts('utils.js');
+  } catch (e) {
+    // In popup context, this will be loaded by the page
+    console.log('Utils will be loaded by the page');
+  }
+}
+
+// Stage art shipped in images/stages/<folder>/ — keep these lists in step with the files
+const BATTLE_STAGE_FILES = [
+  'barnacle_and_dime.jpg', 'bluefin_depot.jpg', 'brinewater_springs.jpg', 'crableg_capital.jpg',
+  'eeltail_alley.jpg', 'flounder_heights.jpg', 'grand_splatlands_bowl.png', 'hagglefish_market.jpg',
+  'hammerhead_bridge.jpg', 'humpback_pump_track.jpg', 'inkblot_art_academy.jpg', 'lemuria_hub.jpg',
+  'mahi_mahi_resort.jpg', 'makomart.jpg', 'manta_maria.jpg', 'marlin_airport.jpg',
+  'mincemeat_metalworks.jpg', 'museum_dalfonsino.jpg', 'robo_rom_en.jpg', 'scorch_gorge.jpg',
+  'shipshape_cargo_co.jpg', 'sturgeon_shipyard.jpg', 'um_ami_ruins.jpg', 'undertow_spillway.jpg',
+  'unknown_stage.jpg', 'wahoo_world.jpg'
+];
+
+const LOCAL_STAGE_FILES = {
+  regular: BATTLE_STAGE_FILES,
+  anarchy: BATTLE_STAGE_FILES,
+  xbattle: BATTLE_STAGE_FILES,
+  shared: BATTLE_STAGE_FILES,
+  salmon: [
+    'bonerattle_arena.jpg', 'gone_fission_hydroplant.jpg', 'jammin_salmon_jun.jpg',
+    'jammin_salmon_junction.jpg', 'marooners_bay.jpg', 'salmonid_smokeyar.jpg',
+    'sockeye_station.jpg', 'spawning_grounds.jpg', 'unknown_stage.jpg'
+  ]
+};
+
+// Shown when a stage has neither local art nor an API image, or the API image fails to load
+const PLACEHOLDER_IMAGE = 'images/stages/placeholder.jpg';
+
+// Stage ID to file name, per folder
+const localStageIndex = Object.fromEntries(Object.entries(LOCAL_STAGE_FILES).map(([folder, files]) => [
+  folder,
+  new Map(files.map(file => [file.replace(/\.[^.]+$/, ''), file]))
+]));
+
+/**
+ * Resolve a stage to the single image URL its card should use
+ * The mode's own folder wins, then shared/, then the API image (or its cached thumbnail), then the placeholder
+ * @param {string} stageName English stage name from the API
+ * @param {string} mode The game mode (regular, anarchy, xbattle, challenge, salmon)
+ * @param {string|null} [remoteUrl] API image URL, or a cached thumbnail of it
+ * @returns {Object} stageId, url and source ('local', 'remote' or 'placeholder')
+ */
+function resolveStageImage(stageName, mode, remoteUrl = null) {
+  const stageId = Utils.getStageId(stageName);
+
+  for (const folder of [mode, 'shared']) {
+    const file = localStageIndex[folder]?.get(stageId);
+    if (file) return { stageId, url: `images/stages/${folder}/${file}`, source: 'local' };
+  }
+
+  if (remoteUrl) return { stageId, url: remoteUrl, source: 'remote' };
+  return { stageId, url: PLACEHOLDER_IMAGE, source: 'placeholder' };
+}
+
+/**
+ * Find the scheduled stages that have no local art
+ * @param {Object|null} rotationData Processed rotation data
+ * @returns {Array<Object>} One entry per stage with stageId, name, modes and fallback ('remote' or 'placeholder')
+ */
+function findUnresolvedStages(rotationData) {
+  const unresolved = new Map();
+  const check = (stage, mode) => {
+    const { stageId, source } = resolveStageImage(stage?.name || 'Unknown Stage', mode, stage?.image || null);
+    if (source === 'local') return;
+
+    const entry = unresolved.get(stageId) || { stageId, name: stage?.name || null, modes: [], fallback: source };
+    if (!entry.modes.includes(mode)) entry.modes.push(mode);
+    unresolved.set(stageId, entry);
+  };
+
+  Utils.TRACKED_MODES.forEach(mode => {
+    Utils.getModeRotations(rotationData, mode.key).forEach(rotation => {
+      if (rotation.stage) check(rotation.stage, mode.source);
+      (rotation.stages || []).forEach(stage => check(stage, mode.source));
+    });
+  });
+
+  // Splatfest Open and Pro are drawn on the Regular and Anarchy tabs
+  const fest = rotationData?.fest;
+  [fest?.current, ...(fest?.upcoming || [])].forEach(rotation => {
+    (rotation?.open?.stages || []).forEach(stage => check(stage, 'regular'));
+    (rotation?.pro?.stages || []).forEach(stage => check(stage, 'anarchy'));
+  });
+
+  return [...unresolved.values()];
+}
+
+/**
+ * Store the stages missing local art under "unresolvedStages" and warn about newly found ones
+ * @param {Object} rotationData Processed rotation data
+ * @returns {Promise<Array<Object>>} Unresolved stages, each with the time it was first seen
+ */
+async function recordUnresolvedStages(rotationData) {
+  const { unresolvedStages: previous = [] } = await chrome.storage.local.get(['unresolvedStages']);
+  const firstSeen = new Map(previous.map(stage => [stage.stageId, stage.firstSeen]));
+  const now = new Date().toISOString();
+
+  const unresolved = findUnresolvedStages(rotationData).map(stage => {
+    if (!firstSeen.has(stage.stageId)) {
+      console.warn(`No local image for stage "${stage.name}" (${stage.stageId}) in ${stage.modes.join(', ')}; using the ${stage.fallback} image`);
+    }
+    return { ...stage, firstSeen: firstSeen.get(stage.stageId) || now };
+  });
+
+  await chrome.storage.local.set({ unresolvedStages: unresolved });
+  return unresolved;
+}
+
+// Export the module
+const StageImages = {
+  LOCAL_STAGE_FILES,
+  PLACEHOLDER_IMAGE,
+  resolveStageImage,
+  findUnresolvedStages,
+  recordUnresolvedStages
+};
+
+// Make StageImages available in different contexts
+if (typeof window !== 'undefined') {
+  window.StageImages = StageImages;
+} else if (typeof self !== 'undefined') {
+  self.StageImages = StageImages;
+}
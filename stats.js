@@ -0,0 +1,135 @@
+/**
+ * Splatoon 3 Rotation Tracker - Stats View
+ * Shows how often stages, rules and Salmon Run weapons came up, from the rotation history.
+ */
+
+document.addEventListener('DOMContentLoaded', function() {
+  // Translate static text from _locales before anything else renders
+  Utils.localizePage();
+
+  const elements = {
+    windows: document.getElementById('stats-windows'),
+    modeSelect: document.getElementById('stats-mode'),
+    pairs: document.getElementById('stats-pairs'),
+    salmonStages: document.getElementById('stats-salmon-stages'),
+    weapons: document.getElementById('stats-weapons'),
+    summary: document.getElementById('stats-summary')
+  };
+
+  // Selected window in days and battle mode ('' for every battle mode)
+  let days = RotationHistory.STATS_WINDOWS[0];
+  let modeKey = '';
+
+  RotationHistory.STATS_WINDOWS.forEach(windowDays => {
+    const btn = document.createElement('button');
+    btn.className = 'range-btn';
+    btn.textContent = Utils.getMessage('statsDays', String(windowDays));
+    btn.classList.toggle('active', windowDays === days);
+    btn.addEventListener('click', () => {
+      days = windowDays;
+      elements.windows.querySelectorAll('.range-btn').forEach(b => b.classList.toggle('active', b === btn));
+      renderStats();
+    });
+    elements.windows.appendChild(btn);
+  });
+
+  elements.modeSelect.appendChild(new Option(Utils.getMessage('statsAllBattleModes'), ''));
+  Utils.TRACKED_MODES.filter(mode => !mode.coop).forEach(mode => {
+    elements.modeSelect.appendChild(new Option(Utils.getModeLabel(mode.key), mode.key));
+  });
+  elements.modeSelect.addEventListener('change', () => {
+    modeKey = elements.modeSelect.value;
+    renderStats();
+  });
+
+  renderStats();
+
+  /**
+   * Load the history for the selected window and render every table
+   */
+  async function renderStats() {
+    try {
+      // The windows end at the extension's clock, which a developer may have moved
+      await Promise.all([Utils.loadTimeSettings(), Utils.loadClock()]);
+      const records = await RotationHistory.loadHistory(days);
+      const stats = RotationHistory.computeStats(records, modeKey || undefined);
+
+      renderTable(elements.pairs, ['statsRule', 'statsStage'], stats.pairs.map(entry => [entry.rule, entry.stage, entry]));
+      renderTable(elements.salmonStages, ['statsStage'], stats.salmonStages.map(entry => [entry.name, entry]));
+      renderTable(elements.weapons, ['statsWeapon'], stats.weapons.map(entry => [entry.name, entry]));
+
+      elements.summary.textContent = records.length === 1
+        ? Utils.getMessage('statsSummaryOne', String(days))
+        : Utils.getMessage('statsSummaryMany', [String(records.length), String(days)]);
+    } catch (error) {
+      console.error('Failed to load rotation history:', error);
+      elements.summary.textContent = Utils.getMessage('statsLoadFailed');
+    }
+  }
+
+  /**
+   * Render a frequency table
+   * @param {HTMLElement} container Element to render into
+   * @param {Array<string>} headings Message keys of the name columns' headings
+   * @param {Array<Array>} rows Name cells followed by the { count, lastSeen } entry
+   */
+  function renderTable(container, headings, rows) {
+    container.textContent = '';
+
+    if (rows.length === 0) {
+      const empty = document.createElement('div');
+      empty.className = 'no-data';
+      empty.textContent = Utils.getMessage('statsNothingRecorded');
+      container.appendChild(empty);
+      return;
+    }
+
+    const table = document.createElement('table');
+    table.className = 'stats-table';
+
+    const headRow = document.createElement('tr');
+    [...headings, 'statsTimes', 'statsLastSeen'].forEach(key => {
+      const th = document.createElement('th');
+      th.textContent = Utils.getMessage(key);
+      headRow.appendChild(th);
+    });
+    const thead = document.createElement('thead');
+    thead.appendChild(headRow);
+    table.appendChild(thead);
+
+    const tbody = document.createElement('tbody');
+    rows.forEach(row => {
+      const entry = row[row.length - 1];
+      const tr = document.createElement('tr');
+
+      row.slice(0, -1).forEach((text, index) => {
+        const td = document.createElement('td');
+        td.textContent = text;
+        // Rule names get the same badge as in the popup
+        const iconInfo = headings[index] === 'statsRule' ? Utils.getRuleIcon(text) : null;
+        if (iconInfo) {
+          const icon = document.createElement('span');
+          icon.className = `rule-icon ${iconInfo.cls}`;
+          icon.textContent = iconInfo.label;
+          td.prepend(icon);
+        }
+        tr.appendChild(td);
+      });
+
+      const countCell = document.createElement('td');
+      countCell.className = 'stats-count';
+      countCell.textContent = String(entry.count);
+      tr.appendChild(countCell);
+
+      const lastSeenCell = document.createElement('td');
+      lastSeenCell.className = 'stats-last-seen';
+      lastSeenCell.textContent = Utils.formatTime(new Date(entry.lastSeen));
+      tr.appendChild(lastSeenCell);
+
+      tbody.appendChild(tr);
+    });
+    table.appendChild(tbody);
+
+    container.appendChild(table);
+  }
+});
@@ -0,0 +1,125 @@
+/**
+ * Splatoon 3 Rotation Tracker - Appearance
+ * Applies the colour theme, motion and decoration settings to extension pages.
+ * The result is written to <html> as data-theme, data-motion and data-decorations for styles.css.
+ */
+
+// Selectable themes; 'system' follows the browser's light/dark and contrast preferences
+const THEMES = ['system', 'light', 'dark', 'high-contrast'];
+
+// Appearance settings, kept in chrome.storage.sync under "appearance"
+const DEFAULT_APPEARANCE = { theme: 'system', reduceMotion: false, decorations: true };
+
+let appearance = { ...DEFAULT_APPEARANCE };
+
+/**
+ * Check a media query, treating contexts without matchMedia as not matching
+ * @param {string} query Media query
+ * @returns {boolean} Whether it matches
+ */
+function mediaMatches(query) {
+  return typeof matchMedia === 'function' && matchMedia(query).matches;
+}
+
+/**
+ * Apply appearance settings, dropping anything invalid
+ * @param {Object} settings Stored settings ({ theme, reduceMotion, decorations })
+ */
+function setAppearance(settings) {
+  appearance = {
+    theme: THEMES.includes(settings?.theme) ? settings.theme : DEFAULT_APPEARANCE.theme,
+    reduceMotion: settings?.reduceMotion === true,
+    decorations: settings?.decorations !== false
+  };
+}
+
+/**
+ * Get the appearance settings in use
+ * @returns {Object} Copy of the current settings
+ */
+function getAppearance() {
+  return { ...appearance };
+}
+
+/**
+ * Work out the theme to draw with
+ * @returns {string} 'light', 'dark' or 'high-contrast'
+ */
+function resolveTheme() {
+  if (appearance.theme !== 'system') return appearance.theme;
+  if (mediaMatches('(prefers-contrast: more)') || mediaMatches('(forced-colors: active)')) return 'high-contrast';
+  return mediaMatches('(prefers-color-scheme: dark)') ? 'dark' : 'light';
+}
+
+/**
+ * Check whether animations should be skipped, by setting or by the system preference
+ * @returns {boolean} Whether motion is reduced
+ */
+function isReducedMotion() {
+  return appearance.reduceMotion || mediaMatches('(prefers-reduced-motion: reduce)');
+}
+
+/**
+ * Write the resolved appearance onto the page
+ * @param {HTMLElement} [root] Element the data attributes go on
+ */
+function applyAppearance(root = document.documentElement) {
+  root.dataset.theme = resolveTheme();
+  root.dataset.motion = isReducedMotion() ? 'reduce' : 'full';
+  root.dataset.decorations = appearance.decorations ? 'on' : 'off';
+}
+
+/**
+ * Load the appearance settings from storage and apply them
+ * @returns {Promise<Object>} The applied settings
+ */
+async function loadAppearance() {
+  try {
+    const data = await chrome.storage.sync.get(['appearance']);
+    setAppearance(data.appearance || DEFAULT_APPEARANCE);
+  } catch (error) {
+    console.error('Failed to load appearance settings:', error);
+  }
+  applyAppearance();
+  return getAppearance();
+}
+
+// Export the module
+const Theme = {
+  THEMES,
+  DEFAULT_APPEARANCE,
+  setAppearance,
+  getAppearance,
+  resolveTheme,
+  isReducedMotion,
+  applyAppearance,
+  loadAppearance
+};
+
+// Make Theme available in different contexts
+if (typeof window !== 'undefined') {
+  window.Theme = Theme;
+} else if (typeof self !== 'undefined') {
+  self.Theme = Theme;
+}
+
+// Pages only: draw with the system preference straight away, then switch to the stored settings
+// and keep up with setting and OS changes, so every page follows Settings without its own call
+if (typeof document !== 'undefined') {
+  applyAppearance();
+  loadAppearance();
+
+  if (typeof matchMedia === 'function') {
+    ['(prefers-color-scheme: dark)', '(prefers-contrast: more)', '(forced-colors: active)', '(prefers-reduced-motion: reduce)']
+      .forEach(query => matchMedia(query).addEventListener('change', () => applyAppearance()));
+  }
+
+  if (typeof chrome !== 'undefined' && chrome.storage?.onChanged) {
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName === 'sync' && changes.appearance) {
+        setAppearance(changes.appearance.newValue || DEFAULT_APPEARANCE);
+        applyAppearance();
+      }
+    });
+  }
+}
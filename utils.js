@@ -8,6 +8,98 @@ const API = {
   REFRESH_INTERVAL: 30 // minutes
 };
 
+// Every schedule the extension tracks, with Anarchy split into its two sub-modes.
+// Eggstra Work lives under rotationData.salmon.eggstra; coop modes have a stage instead of a rule.
+const TRACKED_MODES = [
+  { key: 'regular', label: 'Regular', source: 'regular' },
+  { key: 'series', label: 'Anarchy Series', source: 'anarchy', subMode: 'series' },
+  { key: 'open', label: 'Anarchy Open', source: 'anarchy', subMode: 'open' },
+  { key: 'xbattle', label: 'X Battle', source: 'xbattle' },
+  { key: 'challenge', label: 'Challenge', source: 'challenge' },
+  { key: 'salmon', label: 'Salmon Run', source: 'salmon', coop: true },
+  { key: 'eggstra', label: 'Eggstra Work', source: 'salmon', nested: 'eggstra', coop: true }
+];
+
+// Mode palette for places CSS can't reach (e.g. the toolbar badge), keyed by TRACKED_MODES source
+// plus Splatfest. Keep in step with the --<mode>-color variables in styles.css.
+const MODE_COLORS = {
+  regular: '#c8f028',
+  anarchy: '#f54910',
+  xbattle: '#0fdb9b',
+  challenge: '#e83a8a',
+  salmon: '#ff5600',
+  splatfest: '#dbd013'
+};
+
+// Short rule badges shown before rule names, keyed by lowercase rule name
+const RULE_ICONS = {
+  'turf war': { cls: 'rule-icon-tw', label: 'TW' },
+  'splat zones': { cls: 'rule-icon-sz', label: 'SZ' },
+  'tower control': { cls: 'rule-icon-tc', label: 'TC' },
+  'rainmaker': { cls: 'rule-icon-rm', label: 'RM' },
+  'clam blitz': { cls: 'rule-icon-cb', label: 'CB' },
+};
+
+/**
+ * Look up the rule badge for a rule name
+ * @param {string} ruleName Rule name as shown in the API
+ * @returns {Object|null} Badge class and label, or null for unknown rules
+ */
+function getRuleIcon(ruleName) {
+  return RULE_ICONS[(ruleName || '').toLowerCase().trim()] || null;
+}
+
+/**
+ * Look up a UI string in the _locales message catalogs
+ * @param {string} key Message name
+ * @param {string|Array<string>} [substitutions] Values for the message placeholders
+ * @returns {string} Localized text, or the key itself when the message is missing
+ */
+function getMessage(key, substitutions) {
+  const text = typeof chrome !== 'undefined' && chrome.i18n ? chrome.i18n.getMessage(key, substitutions) : '';
+  return text || key;
+}
+
+/**
+ * Display name of a tracked mode in the UI language
+ * @param {string} modeKey Key from TRACKED_MODES
+ * @returns {string} Mode name
+ */
+function getModeLabel(modeKey) {
+  return getMessage(`mode_${modeKey}`);
+}
+
+/**
+ * Label for rotations that aren't the live schedule, for places without room for a banner
+ * @param {Object|null} rotationData Processed rotation data
+ * @returns {string|null} Demo or developer scenario label, or null for live data
+ */
+function getGeneratedDataLabel(rotationData) {
+  if (rotationData?.isDemo) return getMessage('demoDataLabel');
+  if (rotationData?.scenario) return getMessage('scenarioDataLabel');
+  return null;
+}
+
+/**
+ * Translate the static text of a page
+ * data-i18n sets the text; data-i18n-title, data-i18n-placeholder and data-i18n-aria-label set those attributes
+ * @param {ParentNode} [root] Element or document to translate
+ */
+function localizePage(root = document) {
+  root.querySelectorAll('[data-i18n]').forEach(el => {
+    el.textContent = getMessage(el.dataset.i18n);
+  });
+  root.querySelectorAll('[data-i18n-title]').forEach(el => {
+    el.title = getMessage(el.dataset.i18nTitle);
+  });
+  root.querySelectorAll('[data-i18n-placeholder]').forEach(el => {
+    el.placeholder = getMessage(el.dataset.i18nPlaceholder);
+  });
+  root.querySelectorAll('[data-i18n-aria-label]').forEach(el => {
+    el.setAttribute('aria-label', getMessage(el.dataset.i18nAriaLabel));
+  });
+}
+
 /**
  * Normalize a stage name to a filesystem-safe ID
  * This automatically handles most new stages without manual mapping
@@ -39,6 +131,26 @@ const stageIdOverrides = {
   "salmonid_smokeyar": "salmonid_smokeyar"
 };
 
+// Called with (stageName, stageId, method) whenever a name isn't in the mapping; see withStageIdReporter()
+let stageIdReporter = null;
+
+/**
+ * Run a function with a callback told about stage names that needed a variation or automatic normalization
+ * Only lookups made by that function are reported, not those from watch rules or image lookups elsewhere
+ * @param {Function} reporter Receives the stage name, the resulting ID and 'variation' or 'normalized'
+ * @param {Function} callback Synchronous function whose stage lookups are reported
+ * @returns {*} What the callback returned
+ */
+function withStageIdReporter(reporter, callback) {
+  const previous = stageIdReporter;
+  stageIdReporter = reporter;
+  try {
+    return callback();
+  } finally {
+    stageIdReporter = previous;
+  }
+}
+
 // Legacy mapping (kept for backwards compatibility during transition)
 const stageIdMapping = {
   // Regular/Anarchy/X Battle stages
@@ -91,29 +203,149 @@ const stageIdMapping = {
   "splatlands bowl": "grand_splatlands_bowl"
 };
 
+// Developer scenarios can move the extension's clock to another moment (see devScenario.js).
+// The shift from real time is kept in chrome.storage.local under "devClock" as { offset } in ms.
+let clockOffset = 0;
+
+/**
+ * Current time on the extension's clock
+ * Use this instead of Date.now() for anything measured against the schedule
+ * @returns {number} Milliseconds since the epoch
+ */
+function now() {
+  return Date.now() + clockOffset;
+}
+
+/**
+ * Get how far the extension's clock is shifted from real time
+ * @returns {number} Offset in ms, 0 on the real clock
+ */
+function getClockOffset() {
+  return clockOffset;
+}
+
+/**
+ * Convert a time on the extension's clock to real time, for chrome.alarms
+ * @param {number} time Milliseconds since the epoch on the extension's clock
+ * @returns {number} The same moment in real time
+ */
+function toRealTime(time) {
+  return time - clockOffset;
+}
+
+/**
+ * Load the clock shift from storage
+ * @returns {Promise<number>} The applied offset in ms
+ */
+async function loadClock() {
+  if (typeof chrome === 'undefined' || !chrome.storage?.local) return clockOffset;
+
+  try {
+    const data = await chrome.storage.local.get(['devClock']);
+    clockOffset = Number(data.devClock?.offset) || 0;
+  } catch (error) {
+    console.error('Failed to load the clock setting:', error);
+  }
+  return clockOffset;
+}
+
+// Clock and time zone preferences, kept in chrome.storage.sync under "timeDisplay".
+// timeZone null means the browser's own zone; friendZones are extra IANA zones shown as secondary times.
+const DEFAULT_TIME_SETTINGS = { hour12: true, timeZone: null, friendZones: [] };
+
+// Most extra zones shown alongside the main one
+const MAX_FRIEND_ZONES = 2;
+
+let timeSettings = { ...DEFAULT_TIME_SETTINGS };
+
+/**
+ * Check whether a string is a time zone Intl understands
+ * @param {string} timeZone IANA time zone, e.g. "Europe/London"
+ * @returns {boolean} Whether it is valid
+ */
+function isValidTimeZone(timeZone) {
+  if (!timeZone) return false;
+  try {
+    new Intl.DateTimeFormat(undefined, { timeZone });
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Apply time display settings, dropping anything invalid
+ * @param {Object} settings Stored settings ({ hour12, timeZone, friendZones })
+ */
+function setTimeSettings(settings) {
+  const timeZone = isValidTimeZone(settings?.timeZone) ? settings.timeZone : null;
+  timeSettings = {
+    hour12: settings?.hour12 !== false,
+    timeZone: timeZone,
+    friendZones: (settings?.friendZones || []).filter(isValidTimeZone).slice(0, MAX_FRIEND_ZONES)
+  };
+}
+
+/**
+ * Get the time display settings in use
+ * @returns {Object} Copy of the current settings
+ */
+function getTimeSettings() {
+  return { ...timeSettings, friendZones: [...timeSettings.friendZones] };
+}
+
+/**
+ * Load the time display settings from storage
+ * @returns {Promise<Object>} The applied settings
+ */
+async function loadTimeSettings() {
+  if (typeof chrome === 'undefined' || !chrome.storage?.sync) return getTimeSettings();
+
+  try {
+    const data = await chrome.storage.sync.get(['timeDisplay']);
+    setTimeSettings(data.timeDisplay || DEFAULT_TIME_SETTINGS);
+  } catch (error) {
+    console.error('Failed to load time display settings:', error);
+  }
+  return getTimeSettings();
+}
+
+/**
+ * Short label for a time zone, e.g. "Europe/London" -> "London"
+ * @param {string} timeZone IANA time zone
+ * @returns {string} Label
+ */
+function getTimeZoneLabel(timeZone) {
+  return timeZone.split('/').pop().replace(/_/g, ' ');
+}
+
 /**
  * Format a date to a human-readable time
  * @param {Date|string} date The date to format
+ * @param {string} [timeZone] Zone to show the time in (defaults to the configured zone)
  * @returns {string} Formatted time string
  */
-function formatTime(date) {
+function formatTime(date, timeZone = timeSettings.timeZone) {
   if (!date) return 'Unknown';
   
   const dateObj = typeof date === 'string' ? new Date(date) : date;
   
   if (isNaN(dateObj.getTime())) return 'Invalid Date';
   
+  const zone = timeZone || undefined;
+  // hourCycle rather than hour12: false, which renders midnight as "24:00" in some locales
   const options = { 
     hour: 'numeric', 
     minute: '2-digit',
-    hour12: true
+    ...(timeSettings.hour12 ? { hour12: true } : { hourCycle: 'h23' }),
+    timeZone: zone
   };
   
   const timeString = dateObj.toLocaleTimeString(undefined, options);
   
-  // Add date if it's not today
-  const now = new Date();
-  const isToday = now.toDateString() === dateObj.toDateString();
+  // Add date if it's not today (in the zone being shown)
+  const dayOptions = { year: 'numeric', month: 'numeric', day: 'numeric', timeZone: zone };
+  const isToday = new Date(now()).toLocaleDateString(undefined, dayOptions) === dateObj.toLocaleDateString(undefined, dayOptions);
   
   if (isToday) {
     return timeString;
@@ -122,24 +354,97 @@ function formatTime(date) {
     const dateOptions = { 
       weekday: 'short', 
       month: 'short', 
-      day: 'numeric'
+      day: 'numeric',
+      timeZone: zone
     };
     
     return `${dateObj.toLocaleDateString(undefined, dateOptions)} ${timeString}`;
   }
 }
 
+/**
+ * Format the timespan in each friend zone
+ * @param {string|Date} startTime Start time
+ * @param {string|Date} endTime End time
+ * @returns {Array<string>} One "Label: start - end" line per friend zone
+ */
+function formatFriendTimeRanges(startTime, endTime) {
+  return timeSettings.friendZones.map(zone =>
+    `${getTimeZoneLabel(zone)}: ${formatTime(startTime, zone)} - ${formatTime(endTime, zone)}`
+  );
+}
+
 /**
  * Format timespan between start and end
+ * Friend zones, when configured, follow on their own lines
  * @param {string|Date} startTime Start time
  * @param {string|Date} endTime End time
+ * @param {Object} [options] Formatting options
+ * @param {boolean} [options.withFriendZones=true] Add the friend zone lines
  * @returns {string} Formatted timespan
  */
-function formatTimeRange(startTime, endTime) {
+function formatTimeRange(startTime, endTime, { withFriendZones = true } = {}) {
   const start = typeof startTime === 'string' ? new Date(startTime) : startTime;
   const end = typeof endTime === 'string' ? new Date(endTime) : endTime;
+  const range = `${formatTime(start)} - ${formatTime(end)}`;
   
-  return `${formatTime(start)} - ${formatTime(end)}`;
+  return withFriendZones ? [range, ...formatFriendTimeRanges(start, end)].join('\n') : range;
+}
+
+/**
+ * Split a list of processed rotations into the current one and the ordered upcoming ones
+ * @param {Array} rotations Processed rotations with startTime and endTime
+ * @param {Date} now Current time
+ * @returns {Object} Object with current, next and upcoming (all future rotations, soonest first)
+ */
+function splitSchedule(rotations, now) {
+  const nowMs = now.getTime();
+  const sorted = [...rotations].sort((a, b) => new Date(a.startTime) - new Date(b.startTime));
+
+  let current = null;
+  const upcoming = [];
+
+  for (const rotation of sorted) {
+    const startMs = new Date(rotation.startTime).getTime();
+    const endMs = new Date(rotation.endTime).getTime();
+
+    if (startMs <= nowMs && endMs > nowMs) {
+      if (!current) current = rotation;
+    } else if (startMs > nowMs) {
+      upcoming.push(rotation);
+    }
+  }
+
+  return { current, next: upcoming[0] || null, upcoming };
+}
+
+/**
+ * Get the current and upcoming rotations of one tracked mode as a flat list
+ * Anarchy sub-modes are resolved to their own rule and stages
+ * @param {Object} rotationData Processed rotation data from storage
+ * @param {string} modeKey Key from TRACKED_MODES (regular, series, open, xbattle, challenge, salmon, eggstra)
+ * @returns {Array} Rotations soonest first, the current one included
+ */
+function getModeRotations(rotationData, modeKey) {
+  const mode = TRACKED_MODES.find(m => m.key === modeKey);
+  let modeData = mode ? rotationData?.[mode.source] : null;
+  if (mode?.nested) modeData = modeData?.[mode.nested];
+  if (!modeData) return [];
+
+  // Older cached data only has current/next
+  const upcoming = modeData.upcoming || [modeData.next];
+  const rotations = [modeData.current, ...upcoming].filter(Boolean);
+
+  if (!mode.subMode) return rotations;
+
+  return rotations
+    .filter(rotation => rotation[mode.subMode])
+    .map(rotation => ({
+      startTime: rotation.startTime,
+      endTime: rotation.endTime,
+      rule: rotation[mode.subMode].rule,
+      stages: rotation[mode.subMode].stages
+    }));
 }
 
 /**
@@ -181,24 +486,48 @@ function getStageId(stageName) {
   for (const variation of variations) {
     if (stageIdMapping[variation]) {
       console.log(`Stage "${stageName}" matched via variation: "${variation}"`);
+      if (stageIdReporter) stageIdReporter(stageName, stageIdMapping[variation], 'variation');
       return stageIdMapping[variation];
     }
   }
 
   // 5. Return normalized ID (works for most new stages automatically!)
   console.log(`Stage "${stageName}" auto-normalized to: "${normalizedId}"`);
+  if (stageIdReporter) stageIdReporter(stageName, normalizedId, 'normalized');
   return normalizedId;
 }
 
 // Export utilities
 const Utils = {
   API,
+  TRACKED_MODES,
+  MODE_COLORS,
   stageIdMapping,
   stageIdOverrides,
   normalizeStageId,
+  RULE_ICONS,
+  getRuleIcon,
+  getMessage,
+  getModeLabel,
+  getGeneratedDataLabel,
+  localizePage,
+  MAX_FRIEND_ZONES,
+  isValidTimeZone,
+  setTimeSettings,
+  getTimeSettings,
+  loadTimeSettings,
+  getTimeZoneLabel,
+  now,
+  getClockOffset,
+  toRealTime,
+  loadClock,
   formatTime,
+  formatFriendTimeRanges,
   formatTimeRange,
-  getStageId
+  splitSchedule,
+  getModeRotations,
+  getStageId,
+  withStageIdReporter
 };
 
 // Make utils available in different contexts
@@ -206,4 +535,15 @@ if (typeof window !== 'undefined') {
   window.Utils = Utils;
 } else if (typeof self !== 'undefined') {
   self.Utils = Utils;
-} 
\ No newline at end of file
+} 
+// Keep every context (popup, pages, service worker) in step with the time display settings and the clock
+if (typeof chrome !== 'undefined' && chrome.storage?.onChanged) {
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'sync' && changes.timeDisplay) {
+      setTimeSettings(changes.timeDisplay.newValue || DEFAULT_TIME_SETTINGS);
+    }
+    if (areaName === 'local' && changes.devClock) {
+      clockOffset = Number(changes.devClock.newValue?.offset) || 0;
+    }
+  });
+}
@@ -0,0 +1,190 @@
+/**
+ * Splatoon 3 Rotation Tracker - Watchlist
+ * Matches user-defined stage/rule combinations against the rotation timeline.
+ */
+
+// Ensure utils are available
+if (typeof Utils === 'undefined') {
+  try {
+    importScripts('utils.js');
+  } catch (e) {
+    // In popup context, this will be loaded by popup.html
+    console.log('Utils will be loaded by popup.html');
+  }
+}
+
+// Storage key for the watch rules (chrome.storage.sync)
+const WATCHLIST_STORAGE_KEY = 'watchlist';
+
+// Ranked and Turf War rules that can be watched
+const RULE_NAMES = ['Turf War', 'Splat Zones', 'Tower Control', 'Rainmaker', 'Clam Blitz'];
+
+// Stage names offered in the settings form; stages seen in live data are added on top
+const KNOWN_STAGES = {
+  battle: [
+    'Scorch Gorge', 'Eeltail Alley', 'Hagglefish Market', 'Undertow Spillway',
+    "Um'ami Ruins", 'Mincemeat Metalworks', 'Brinewater Springs', 'Barnacle & Dime',
+    'Flounder Heights', 'Hammerhead Bridge', "Museum d'Alfonsino", 'Mahi-Mahi Resort',
+    'Inkblot Art Academy', 'Sturgeon Shipyard', 'MakoMart', 'Wahoo World',
+    'Humpback Pump Track', 'Manta Maria', 'Crableg Capital', 'Shipshape Cargo Co.',
+    'Robo ROM-en', 'Bluefin Depot', 'Marlin Airport', 'Lemuria Hub', 'Urchin Underpass'
+  ],
+  salmon: [
+    'Spawning Grounds', "Marooner's Bay", 'Sockeye Station', 'Gone Fission Hydroplant',
+    "Jammin' Salmon Junction", 'Salmonid Smokeyard', 'Bonerattle Arena'
+  ]
+};
+
+/**
+ * Load the watch rules from storage
+ * @returns {Promise<Array>} List of watch rules
+ */
+async function loadRules() {
+  const data = await chrome.storage.sync.get([WATCHLIST_STORAGE_KEY]);
+  return Array.isArray(data[WATCHLIST_STORAGE_KEY]) ? data[WATCHLIST_STORAGE_KEY] : [];
+}
+
+/**
+ * Save the watch rules to storage
+ * @param {Array} rules List of watch rules
+ */
+async function saveRules(rules) {
+  await chrome.storage.sync.set({ [WATCHLIST_STORAGE_KEY]: rules });
+}
+
+/**
+ * Create a new watch rule
+ * @param {string} mode Tracked mode key or 'any'
+ * @param {string} rule Rule name, empty for any rule
+ * @param {Array<string>} stages Stage names, empty for any stage
+ * @returns {Object} Watch rule
+ */
+function createRule(mode, rule, stages) {
+  return {
+    id: `w${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+    mode: mode || 'any',
+    // Coop modes have no battle rule
+    rule: Utils.TRACKED_MODES.find(m => m.key === mode)?.coop ? '' : (rule || ''),
+    stages: stages || []
+  };
+}
+
+/**
+ * Get the stage names of a rotation, whatever its shape
+ * @param {Object} rotation Rotation data
+ * @returns {Array<string>} Stage names
+ */
+function getStageNames(rotation) {
+  if (rotation.stage) return [rotation.stage.name];
+  return (rotation.stages || []).map(stage => stage.name);
+}
+
+/**
+ * Check whether a rotation of one tracked mode satisfies a watch rule
+ * @param {Object} watchRule Watch rule
+ * @param {string} modeKey Tracked mode key
+ * @param {Object} rotation Rotation data
+ * @returns {Array<string>|null} Matched stage names, or null when it doesn't match
+ */
+function matchRotation(watchRule, modeKey, rotation) {
+  if (!rotation) return null;
+  if (watchRule.mode !== 'any' && watchRule.mode !== modeKey) return null;
+
+  if (watchRule.rule) {
+    // Salmon Run has no battle rule, so rule-based watches never apply to it
+    if (rotation.stage) return null;
+    const ruleName = (rotation.rule?.name || '').toLowerCase().trim();
+    if (ruleName !== watchRule.rule.toLowerCase().trim()) return null;
+  }
+
+  const stageNames = getStageNames(rotation);
+  if (!watchRule.stages?.length) return stageNames;
+
+  // Compare by stage ID so spelling variations still match
+  const watchedIds = watchRule.stages.map(name => Utils.getStageId(name));
+  const matched = stageNames.filter(name => watchedIds.includes(Utils.getStageId(name)));
+  return matched.length > 0 ? matched : null;
+}
+
+/**
+ * Find every current and upcoming rotation that matches a watch rule
+ * A rotation matched by several rules is one match, so overlapping rules alert once
+ * @param {Array} rules Watch rules
+ * @param {Object} rotationData Processed rotation data
+ * @returns {Array} Matches with the matched rules, mode, rotation, matched stages and a stable key
+ */
+function findMatches(rules, rotationData) {
+  const matches = [];
+  if (!rules?.length || !rotationData) return matches;
+
+  for (const mode of Utils.TRACKED_MODES) {
+    for (const rotation of Utils.getModeRotations(rotationData, mode.key)) {
+      const matchedRules = [];
+      const matchedStages = new Set();
+
+      for (const watchRule of rules) {
+        const stages = matchRotation(watchRule, mode.key, rotation);
+        if (!stages) continue;
+        matchedRules.push(watchRule);
+        stages.forEach(name => matchedStages.add(name));
+      }
+
+      if (matchedRules.length === 0) continue;
+
+      matches.push({
+        key: `${mode.key}|${rotation.startTime}`,
+        rules: matchedRules,
+        mode: mode,
+        rotation: rotation,
+        // Keep the rotation's own stage order
+        matchedStages: getStageNames(rotation).filter(name => matchedStages.has(name))
+      });
+    }
+  }
+
+  return matches;
+}
+
+/**
+ * Check whether a rotation matches any watch rule
+ * @param {Array} rules Watch rules
+ * @param {string} modeKey Tracked mode key
+ * @param {Object} rotation Rotation data
+ * @returns {boolean} Whether the rotation is watched
+ */
+function isWatched(rules, modeKey, rotation) {
+  return (rules || []).some(watchRule => matchRotation(watchRule, modeKey, rotation) !== null);
+}
+
+/**
+ * Describe a watch rule for display
+ * @param {Object} watchRule Watch rule
+ * @returns {string} Human-readable description
+ */
+function describeRule(watchRule) {
+  const mode = Utils.TRACKED_MODES.find(m => m.key === watchRule.mode);
+  const modeLabel = mode ? Utils.getModeLabel(mode.key) : Utils.getMessage('anyMode');
+  const ruleLabel = watchRule.rule || (mode?.coop ? modeLabel : Utils.getMessage('anyRule'));
+  const stageLabel = watchRule.stages?.length ? watchRule.stages.join(' / ') : Utils.getMessage('anyStage');
+  return Utils.getMessage('watchRuleDescription', [ruleLabel, stageLabel, modeLabel]);
+}
+
+// Export the module
+const Watchlist = {
+  RULE_NAMES,
+  KNOWN_STAGES,
+  loadRules,
+  saveRules,
+  createRule,
+  matchRotation,
+  findMatches,
+  isWatched,
+  describeRule
+};
+
+// Make Watchlist available in different contexts
+if (typeof window !== 'undefined') {
+  window.Watchlist = Watchlist;
+} else if (typeof self !== 'undefined') {
+  self.Watchlist = Watchlist;
+}